@@ -0,0 +1,132 @@
+/**
+ * E3Datasets — named exam datasets kept in Cache Storage, written by loader.html and served by sw.js.
+ *
+ * A set is one loaded JSON file, served as exam_data.json?set=<name> and solutions_data.json?set=<name>,
+ * plus any images dropped with it, served by file name so relative image_src paths in the JSON resolve.
+ * Sets survive the browser stopping the idle worker, and several can be open in tabs at once. The index
+ * also records the current set (the last one loaded), which answers requests that name no set.
+ *
+ *   await E3Datasets.list()                                   -> { current, sets: [{ name, fileName, exam, solutions, images, updated }] }
+ *   await E3Datasets.put(name, { text, fileName, target })    -> stores the JSON for 'exam', 'solutions' or (no target) both
+ *   await E3Datasets.addFiles(name, files)                    -> stores Files/Blobs by their .name
+ *   await E3Datasets.remove(name)
+ *   await E3Datasets.data(name, 'exam')                       -> Response or null (name null: the current set)
+ *   await E3Datasets.file(name, 'fig1.png')                   -> Response or null (only files added to the set)
+ */
+(function (root) {
+  'use strict';
+
+  const CACHE = 'e3-datasets-v1';
+  const TARGETS = ['exam', 'solutions'];
+  // Keys live under the e3 folder, which is both the loader's directory and the worker's scope.
+  const BASE = new URL('__datasets__/', root.location.href).href;
+  const INDEX_URL = BASE + 'index.json';
+
+  const setUrl = (name, path) => `${BASE}${encodeURIComponent(name)}/${path}`;
+  const fileUrl = (name, fileName) => setUrl(name, 'files/' + encodeURIComponent(baseName(fileName)));
+
+  // A path's last segment, decoded; a stray '%' that isn't an escape leaves it as written.
+  function baseName(path) {
+    const name = String(path).split(/[?#]/)[0].split('/').pop() || '';
+    try {
+      return decodeURIComponent(name);
+    } catch (e) {
+      return name;
+    }
+  }
+
+  function jsonResponse(text) {
+    return new Response(text, { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+  }
+
+  function checkName(name) {
+    const n = String(name == null ? '' : name).trim();
+    if (!n) throw new Error('A dataset needs a name.');
+    return n;
+  }
+
+  async function readIndex(cache) {
+    const res = await cache.match(INDEX_URL);
+    return res ? res.json() : { current: null, sets: [] };
+  }
+
+  function writeIndex(cache, index) {
+    return cache.put(INDEX_URL, jsonResponse(JSON.stringify(index)));
+  }
+
+  async function list() {
+    return readIndex(await caches.open(CACHE));
+  }
+
+  async function put(name, { text, fileName, target } = {}) {
+    name = checkName(name);
+    JSON.parse(text); // Validate JSON
+    const cache = await caches.open(CACHE);
+    const index = await readIndex(cache);
+    let set = index.sets.find((s) => s.name === name);
+    if (!set) {
+      set = { name, fileName: '', images: [] };
+      index.sets.push(set);
+    }
+    for (const t of target ? [target] : TARGETS) {
+      if (!TARGETS.includes(t)) throw new Error(`Unknown target "${t}".`);
+      await cache.put(setUrl(name, t + '.json'), jsonResponse(text));
+      set[t] = true;
+    }
+    if (fileName) set.fileName = fileName;
+    set.updated = new Date().toISOString();
+    index.current = name;
+    await writeIndex(cache, index);
+    return set;
+  }
+
+  async function addFiles(name, files) {
+    name = checkName(name);
+    const cache = await caches.open(CACHE);
+    const index = await readIndex(cache);
+    const set = index.sets.find((s) => s.name === name);
+    if (!set) throw new Error(`No dataset named "${name}".`);
+    for (const f of files) {
+      const fileName = baseName(f.name);
+      if (!fileName) continue;
+      await cache.put(fileUrl(name, fileName), new Response(f, { headers: { 'Content-Type': f.type || 'application/octet-stream' } }));
+      if (!set.images.includes(fileName)) set.images.push(fileName);
+    }
+    set.updated = new Date().toISOString();
+    await writeIndex(cache, index);
+    return set;
+  }
+
+  async function remove(name) {
+    const cache = await caches.open(CACHE);
+    const index = await readIndex(cache);
+    const prefix = setUrl(name, '');
+    for (const req of await cache.keys()) if (req.url.startsWith(prefix)) await cache.delete(req);
+    index.sets = index.sets.filter((s) => s.name !== name);
+    if (index.current === name) index.current = index.sets.length ? index.sets[index.sets.length - 1].name : null;
+    await writeIndex(cache, index);
+  }
+
+  // name null/empty means the current set.
+  async function resolve(cache, name) {
+    return name || (await readIndex(cache)).current;
+  }
+
+  async function data(name, target) {
+    const cache = await caches.open(CACHE);
+    const set = await resolve(cache, name);
+    return set ? (await cache.match(setUrl(set, target + '.json'))) || null : null;
+  }
+
+  // Only files recorded in the set, so nothing else cached under its key can answer for a page's own files.
+  async function file(name, fileName) {
+    const cache = await caches.open(CACHE);
+    const index = await readIndex(cache);
+    const set = index.sets.find((s) => s.name === (name || index.current));
+    if (!set || !set.images.includes(fileName)) return null;
+    return (await cache.match(fileUrl(set.name, fileName))) || null;
+  }
+
+  const E3Datasets = { list, put, addFiles, remove, data, file, baseName };
+  root.E3Datasets = E3Datasets;
+})(self);
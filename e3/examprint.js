@@ -0,0 +1,720 @@
+/**
+ * ExamPrint — the exam page stylesheet shared by e3/template.html and the builder's HTML export,
+ * running headers/footers, and the page splitter the builder uses to preview page boundaries.
+ *
+ * The stylesheet covers the template markup (.instructions, .doc-section, .question, equation sheets)
+ * and the builder's question parts (.options, .answer-space, .part, solutions marks). Exports inline
+ * ExamPrint.css, so printed builder exams and template output come from the same rules.
+ *
+ *   ExamPrint.css                                            -> screen + print stylesheet
+ *   ExamPrint.pageCss({ header, mark, pageNumbers })         -> @page margin boxes: header left, mark right,
+ *                                                               "Page X of Y" footer (none on the title page)
+ *   ExamPrint.injectStyles(doc, { header, ... })             -> adds both to a document
+ *   ExamPrint.paginate(doc, { header, mark, pageNumbers })   -> lays a rendered export out as Letter pages
+ *
+ * paginate applies the print rules on screen and fills pages block by block (front page, sheets, section
+ * headings, questions), breaking where print would: forced breaks, then any question that no longer fits.
+ * A block taller than a page is left on its own page and the page is outlined in red.
+ */
+(function (root) {
+  'use strict';
+
+  // US Letter with the template's 1in margins, in inches; 96 CSS px per inch.
+  const PAGE = { width: 8.5, height: 11, margin: 1 };
+
+  const css = `
+/* ===== Screen styles ===== */
+html, body {
+  margin: 0;
+  padding: 0;
+  font-family: "Times New Roman", Georgia, serif;
+  font-size: 11pt;
+  line-height: 1.4;
+  color: #000;
+  background: #fff;
+}
+
+h1, h2, h3, h4 {
+  margin: 0.6rem 0 0.35rem 0;
+  font-weight: 700;
+  color: #000;
+}
+
+p {
+  margin: 0.35rem 0;
+}
+
+img {
+  max-width: 100%;
+  height: auto;
+  display: block;
+}
+
+.section-title {
+  font-weight: 700;
+  font-size: 14pt;
+  margin: 0.6rem 0 0.4rem 0;
+}
+
+.doc-section {
+  padding: 18px 24px;
+}
+
+.question {
+  padding: 0;
+  margin: 0.9rem 0 1.1rem 0;
+  border: 0;
+  background: transparent;
+}
+
+.question .stem {
+  margin-bottom: 0.45rem;
+}
+
+.option {
+  margin: 0.18rem 0;
+}
+
+/* First page (screen preview) */
+.instructions {
+  background: #fff;
+  color: #000;
+  padding: 0.75in 0.9in 0.6in 0.9in;
+  position: relative;
+}
+
+.nd-block {
+  position: absolute;
+  top: 0.9in;
+  left: 0.9in;
+}
+
+.nd-block p {
+  margin: 0.15rem 0;
+  font-size: 12pt;
+}
+
+/* Variant code and its QR code, for key lookup in grader.html */
+.variant-code {
+  position: absolute;
+  top: 0.75in;
+  right: 0.9in;
+  width: 0.9in;
+  text-align: center;
+}
+
+.variant-code svg {
+  display: block;
+  width: 100%;
+  height: auto;
+}
+
+.variant-code-text {
+  display: block;
+  font-family: "Courier New", monospace;
+  font-size: 7pt;
+  white-space: nowrap;
+}
+
+.title-wrap {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  margin-top: 2.0in;
+  margin-bottom: 1.8in;
+  text-align: center;
+}
+
+.title-wrap h1 {
+  font-size: 28pt;
+  font-weight: 600;
+  margin: 0 0 0.25rem 0;
+}
+
+.title-wrap h2 {
+  font-size: 22pt;
+  font-weight: 600;
+  margin: 0;
+}
+
+.inst-heading {
+  color: #2b579a;
+  font-weight: 700;
+  margin: 0 0 0.25rem 0;
+  display: inline-block;
+}
+
+/* Later pages (screen preview padding) */
+.doc-section.second,
+.doc-section.third,
+.doc-section.fourth {
+  padding: 0.8in 0.9in 0.6in 0.9in;
+}
+
+/* Equation sheet container */
+.grid-container {
+  display: flex;
+  gap: 24px;
+  align-items: flex-start;
+  margin: 0.2in 0 0.15in 0;
+  padding: 0;
+}
+
+.grid-container > div {
+  flex: 1 1 0;
+  min-width: 0;
+}
+
+/* Equation sections and groups */
+.equation-section {
+  margin: 0.4rem 0 0.6rem 0;
+  padding: 0;
+  background: none;
+  border: 0;
+}
+
+.equation-title {
+  margin: 0.1rem 0 0.3rem 0;
+  font-weight: 700;
+  font-size: 12pt;
+}
+
+.equation-group {
+  margin: 0 0 0.5rem 0;
+  break-inside: avoid;
+}
+
+.equation-subtitle {
+  font-weight: 700;
+  margin: 0 0 0.2rem 0;
+}
+
+.equation {
+  margin: 0.14rem 0;
+}
+
+.var-defs {
+  margin-top: 0.25rem;
+  font-size: 10.5pt;
+  line-height: 1.35;
+}
+
+.var-list {
+  margin: 0.2rem 0;
+  padding-left: 1.2em;
+}
+
+.var-list li {
+  margin: 0.1rem 0;
+}
+
+/* Ensure sub/sup render nicely */
+sub,
+sup {
+  font-size: 0.75em;
+  line-height: 0;
+  position: relative;
+  vertical-align: baseline;
+  font-family: inherit;
+}
+
+sup {
+  top: -0.4em;
+}
+
+sub {
+  bottom: -0.25em;
+}
+
+/* ============================================== */
+
+/* Variant mark */
+.inst-heading .variant-mark,
+.inst-heading sup.variant-mark {
+  font-size: 0.4em;
+  line-height: 0;
+  vertical-align: -0.05em;
+  opacity: 0.38;
+  position: relative;
+  left: -0.02em;
+  margin-left: 0.1em;
+}
+
+/* Labels */
+.q-label {
+  color: #2b579a;
+  font-weight: 700;
+}
+
+.q-label + * {
+  margin-left: 0.05rem;
+}
+
+/* ===== Print overrides ===== */
+.firstpage-only {
+  break-after: page;
+}
+
+@media print {
+  @page {
+    size: Letter;
+    margin: 1in;
+  }
+
+  html,
+  body {
+    -webkit-print-color-adjust: exact;
+    print-color-adjust: exact;
+    font-family: "Times New Roman", Georgia, serif !important;
+    font-size: 11pt;
+    line-height: 1.4;
+  }
+
+  /* Force same font on math-ish bits so PDF doesn't swap fonts */
+  .tm,
+  .tm-acc::after,
+  sub,
+  sup {
+    font-family: "Times New Roman", Georgia, serif !important;
+  }
+
+  .instructions,
+  .doc-section,
+  .doc-section.second,
+  .doc-section.third,
+  .doc-section.fourth {
+    padding: 0 !important;
+  }
+
+  .title-wrap {
+    margin-top: 1.25in;
+    margin-bottom: 0.9in;
+  }
+
+  .inst-heading {
+    margin-top: 0.35in;
+  }
+
+  .nd-block {
+    position: static;
+    margin-bottom: 0.5rem;
+  }
+
+  .variant-code {
+    top: 0;
+    right: 0;
+  }
+
+  .doc-section.fourth img:first-of-type {
+    width: 550px !important;
+    max-width: 100%;
+  }
+
+  .grid-container {
+    margin: 0.15in 0 0.1in 0;
+  }
+
+  .question,
+  .equation,
+  .equation-section,
+  .equation-group,
+  .var-defs {
+    page-break-inside: avoid;
+    break-inside: avoid;
+  }
+
+  h1,
+  h2,
+  h3,
+  h4 {
+    page-break-after: avoid;
+    orphans: 3;
+    widows: 3;
+  }
+
+  .inst-heading .variant-mark,
+  .inst-heading sup.variant-mark {
+    font-size: 0.4em !important;
+    line-height: 0 !important;
+    vertical-align: -0.05em !important;
+    opacity: 0.38 !important;
+  }
+}
+
+
+/* ===== Builder question markup ===== */
+.options {
+  margin-top: 0.35rem;
+}
+
+.select-all {
+  font-style: italic;
+  font-size: 0.9em;
+}
+
+.tf-options span {
+  display: inline-block;
+  margin-right: 2.5rem;
+  padding: 0 0.25rem;
+}
+
+.images {
+  margin: 0.35rem 0;
+}
+
+.part {
+  margin: 0.6rem 0 0 1rem;
+}
+
+.part > .stem {
+  margin-bottom: 0.3rem;
+}
+
+/* Answer space: answerLines lines of room for work, the answer line at the bottom */
+.answer-space {
+  border: 1px solid #999;
+  border-radius: 4px;
+  margin-top: 0.35rem;
+  padding: 0.3rem 0.5rem;
+  display: flex;
+  flex-direction: column;
+  justify-content: flex-end;
+}
+
+.sheet-img {
+  max-width: 100%;
+  height: auto;
+  display: block;
+  margin: 0 auto;
+}
+
+.section-head {
+  margin-top: 0.6rem;
+}
+
+.questions.two-column {
+  column-count: 2;
+  column-gap: 0.35in;
+  column-rule: 1px solid #ddd;
+}
+
+.questions.two-column .section-head {
+  column-span: all;
+}
+
+/* Solutions (marks as in solutions_template.html) */
+.solutions .solutions-correct,
+.solutions .answer-value {
+  font-weight: 700;
+  background: #d4edda;
+  color: #155724;
+  border-radius: 3px;
+  padding: 0 0.12em;
+}
+
+.worked-solution {
+  margin: 0.4rem 0 0 0.5rem;
+  padding: 0.2rem 0.6rem;
+  border-left: 3px solid #2b579a;
+}
+
+.worked-solution p {
+  margin: 0.2rem 0;
+}
+
+.worked-solution .ws-topic {
+  font-style: italic;
+  color: #555;
+  font-size: 10pt;
+}
+
+.worked-solution .ws-steps {
+  margin: 0.2rem 0;
+  padding-left: 1.4rem;
+}
+
+.worked-solution .ws-answer {
+  font-weight: 700;
+}
+
+.answer-key {
+  margin-top: 1.5rem;
+}
+
+.answer-key .key-item {
+  display: inline-block;
+  min-width: 4.5em;
+  font-weight: 700;
+}
+
+/* ===== Pagination ===== */
+@media print {
+  .page-break,
+  .new-page {
+    page-break-before: always;
+    break-before: page;
+  }
+
+  /* A stem stays with its figure, options and answer space */
+  .question .stem,
+  .part > .stem,
+  .section-head,
+  .images {
+    page-break-after: avoid;
+    break-after: avoid;
+  }
+
+  .images,
+  .options,
+  .answer-space {
+    page-break-before: avoid;
+    break-before: avoid;
+  }
+
+  .images,
+  .options,
+  .answer-space,
+  .part,
+  .worked-solution,
+  .answer-key,
+  img {
+    page-break-inside: avoid;
+    break-inside: avoid;
+  }
+}
+
+/* ===== Page preview (paginate) ===== */
+body.xp-paged {
+  background: #e5e7eb;
+  padding: 0.25in 0;
+}
+
+.xp-page {
+  position: relative;
+  box-sizing: border-box;
+  width: ${PAGE.width}in;
+  height: ${PAGE.height}in;
+  padding: ${PAGE.margin}in;
+  margin: 0 auto 0.25in auto;
+  background: #fff;
+  box-shadow: 0 1px 4px rgba(0, 0, 0, 0.25);
+}
+
+.xp-page.xp-overfull {
+  outline: 2px solid #b00020;
+}
+
+.xp-body {
+  height: 100%;
+  display: flow-root;
+}
+
+.xp-cols {
+  display: flex;
+  gap: 0.35in;
+}
+
+.xp-col {
+  flex: 1 1 0;
+  min-width: 0;
+  display: flow-root;
+}
+
+.xp-header,
+.xp-footer {
+  position: absolute;
+  left: ${PAGE.margin}in;
+  right: ${PAGE.margin}in;
+  display: flex;
+  justify-content: space-between;
+  font-size: 9pt;
+  color: #555;
+}
+
+.xp-header {
+  top: ${PAGE.margin / 2}in;
+}
+
+.xp-footer {
+  bottom: ${PAGE.margin / 2}in;
+  justify-content: center;
+}
+`;
+
+  function cssString(text) {
+    return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ') + '"';
+  }
+
+  /** @page rules for the running header/footer; "" when there is nothing to show. */
+  function pageCss(opts) {
+    const o = opts || {};
+    if (!o.header && !o.mark && !o.pageNumbers) return '';
+    const box = 'font-family: "Times New Roman", Georgia, serif; font-size: 9pt; color: #555;';
+    const boxes = [
+      o.header ? `@top-left { content: ${cssString(o.header)}; ${box} }` : '',
+      o.mark ? `@top-right { content: ${cssString(o.mark)}; ${box} }` : '',
+      o.pageNumbers ? `@bottom-center { content: "Page " counter(page) " of " counter(pages); ${box} }` : '',
+    ].filter(Boolean);
+    return `
+@media print {
+  @page {
+    ${boxes.join('\n    ')}
+  }
+  @page :first {
+    @top-left { content: none; }
+    @top-right { content: none; }
+    @bottom-center { content: none; }
+  }
+}
+`;
+  }
+
+  /** Adds the stylesheet once, and (re)sets the running header/footer when opts are given. */
+  function injectStyles(doc, opts) {
+    const d = doc || root.document;
+    if (!d) return;
+    if (!d.getElementById('examprint-css')) {
+      const style = d.createElement('style');
+      style.id = 'examprint-css';
+      style.textContent = css;
+      d.head.appendChild(style);
+    }
+    if (!opts) return;
+    let page = d.getElementById('examprint-page-css');
+    if (!page) {
+      page = d.createElement('style');
+      page.id = 'examprint-page-css';
+      d.head.appendChild(page);
+    }
+    page.textContent = pageCss(opts);
+  }
+
+  // Lets the document's @media print rules apply on screen, so the preview measures printed layout.
+  function applyPrintRules(doc) {
+    for (const sheet of Array.from(doc.styleSheets)) {
+      let rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (e) {
+        continue;
+      }
+      for (const rule of Array.from(rules)) {
+        if (rule.media && /\bprint\b/.test(rule.media.mediaText) && !/\bscreen\b/.test(rule.media.mediaText)) rule.media.appendMedium('screen');
+      }
+    }
+  }
+
+  // Top-level blocks in reading order. A .questions container is opened up so its section heads and
+  // questions paginate one by one; in a .two-column container the questions flow into columns.
+  function pageBlocks(body) {
+    const blocks = [];
+    for (const el of Array.from(body.children)) {
+      if (!el.classList.contains('questions')) {
+        blocks.push({ el, flow: false });
+        continue;
+      }
+      const twoColumn = el.classList.contains('two-column');
+      for (const child of Array.from(el.children)) blocks.push({ el: child, flow: twoColumn && !child.classList.contains('section-head') });
+    }
+    return blocks;
+  }
+
+  /**
+   * Rebuilds a rendered export (an iframe document, say) as .xp-page boxes with the running header and
+   * footer drawn in. opts.width scales the pages down to fit that many CSS px. Returns { pages, height }.
+   */
+  function paginate(doc, opts) {
+    const o = opts || {};
+    const body = doc.body;
+    applyPrintRules(doc);
+    const blocks = pageBlocks(body);
+    body.textContent = '';
+    body.classList.add('xp-paged');
+
+    const pages = [];
+    let content = null;
+    let cols = null;
+    let col = 0;
+    const newPage = () => {
+      const page = doc.createElement('div');
+      page.className = 'xp-page';
+      content = doc.createElement('div');
+      content.className = 'xp-body';
+      page.appendChild(content);
+      body.appendChild(page);
+      pages.push(page);
+      cols = null;
+      col = 0;
+    };
+    const column = () => {
+      if (!cols) {
+        cols = doc.createElement('div');
+        cols.className = 'xp-cols';
+        for (let i = 0; i < 2; i++) {
+          const c = doc.createElement('div');
+          c.className = 'xp-col';
+          cols.appendChild(c);
+        }
+        content.appendChild(cols);
+        col = 0;
+      }
+      return cols.children[col];
+    };
+    const overflowing = () => content.scrollHeight > content.clientHeight + 1;
+
+    newPage();
+    let breakNext = false;
+    for (const { el, flow } of blocks) {
+      if (el.classList.contains('page-break')) {
+        breakNext = true;
+        continue;
+      }
+      if ((breakNext || el.classList.contains('new-page')) && content.children.length) newPage();
+      breakNext = false;
+      for (;;) {
+        if (!flow) cols = null;
+        const box = flow ? column() : content;
+        box.appendChild(el);
+        const alone = content.children.length === 1 && (!flow || (col === 0 && box.children.length === 1));
+        if (!overflowing() || alone) break;
+        box.removeChild(el);
+        if (flow && col === 0) col = 1;
+        else newPage();
+      }
+      if (overflowing()) pages[pages.length - 1].classList.add('xp-overfull');
+      if (el.classList.contains('firstpage-only')) breakNext = true;
+    }
+    // An empty column pair left behind by a move to the next page.
+    for (const c of Array.from(body.querySelectorAll('.xp-cols'))) if (!c.textContent.trim() && !c.querySelector('img')) c.remove();
+
+    pages.forEach((page, i) => {
+      if (i === 0) return;
+      if (o.header || o.mark) {
+        const header = doc.createElement('div');
+        header.className = 'xp-header';
+        for (const text of [o.header || '', o.mark || '']) {
+          const span = doc.createElement('span');
+          span.textContent = text;
+          header.appendChild(span);
+        }
+        page.appendChild(header);
+      }
+      if (o.pageNumbers) {
+        const footer = doc.createElement('div');
+        footer.className = 'xp-footer';
+        footer.textContent = `Page ${i + 1} of ${pages.length}`;
+        page.appendChild(footer);
+      }
+    });
+
+    const height = doc.documentElement.scrollHeight;
+    const scale = o.width ? Math.min(1, o.width / (PAGE.width * 96 + 16)) : 1;
+    if (scale < 1) body.style.zoom = String(scale);
+    return { pages: pages.length, height: Math.ceil(height * scale) };
+  }
+
+  const ExamPrint = { css, pageCss, injectStyles, paginate, PAGE };
+  root.ExamPrint = ExamPrint;
+  if (typeof module === 'object' && module.exports) module.exports = ExamPrint;
+})(typeof window !== 'undefined' ? window : globalThis);
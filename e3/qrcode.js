@@ -0,0 +1,623 @@
+/**
+ * QRCode — a small, dependency-free QR code encoder and photo decoder for the exam's variant code.
+ *
+ * Encoding covers versions 1–6 at error-correction level M in alphanumeric or byte mode, which is plenty for a
+ * short code. Decoding reads a code of those versions from an RGBA image (a canvas's ImageData): it thresholds
+ * the photo, finds the three finder patterns, samples the grid through the affine map they define and corrects
+ * module errors with Reed–Solomon. A reasonably square-on phone photo is enough; strong perspective is not handled.
+ *
+ *   QRCode.encode('12-7K3M9QXP-B4')                       -> { size, modules: boolean[][] } (modules[y][x], true = dark)
+ *   QRCode.svg('12-7K3M9QXP-B4', { title: 'Variant code' }) -> '<svg …>' with a 4-module quiet zone
+ *   QRCode.decode({ data, width, height })                  -> the text, or null when no code is found
+ */
+(function (root) {
+  'use strict';
+
+  const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+  // Level M per version: [total codewords, error-correction codewords per block, blocks].
+  const VERSIONS = [null, [26, 10, 1], [44, 16, 1], [70, 26, 1], [100, 18, 2], [134, 24, 2], [172, 16, 4]];
+  const EC_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+  const MAX_VERSION = VERSIONS.length - 1;
+  const QUIET_ZONE = 4;
+  // Decoding works on photos scaled down to this many pixels on the long side.
+  const MAX_DECODE_SIZE = 800;
+
+  // ---------- GF(256) arithmetic (primitive polynomial 0x11D) ----------
+
+  const EXP = new Uint8Array(512);
+  const LOG = new Uint8Array(256);
+  for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+  const mul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+  const div = (a, b) => (a ? EXP[(LOG[a] + 255 - LOG[b]) % 255] : 0);
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let rootValue = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = mul(result[j], rootValue);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      rootValue = mul(rootValue, 2);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => (result[i] ^= mul(coef, factor)));
+    }
+    return result;
+  }
+
+  // Corrects a block in place (first codeword = highest power); false when there are too many errors.
+  function rsCorrect(block, ecCount) {
+    const n = block.length;
+    const evalAt = (x) => block.reduce((acc, c) => mul(acc, x) ^ c, 0);
+    const syndromes = Array.from({ length: ecCount }, (_, i) => evalAt(EXP[i]));
+    if (syndromes.every((s) => !s)) return true;
+    // Berlekamp–Massey: error locator, lowest power first.
+    let locator = [1];
+    let prev = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+    for (let k = 0; k < ecCount; k++) {
+      let d = syndromes[k];
+      for (let i = 1; i <= errors; i++) d ^= mul(locator[i] || 0, syndromes[k - i]);
+      if (!d) {
+        shift++;
+        continue;
+      }
+      const next = locator.slice();
+      const scale = div(d, lastDiscrepancy);
+      prev.forEach((c, i) => {
+        next[i + shift] = (next[i + shift] || 0) ^ mul(scale, c);
+      });
+      if (2 * errors <= k) {
+        prev = locator;
+        errors = k + 1 - errors;
+        lastDiscrepancy = d;
+        shift = 1;
+      } else shift++;
+      locator = next;
+    }
+    if (2 * errors > ecCount) return false;
+    const polyAt = (poly, x) => poly.reduceRight((acc, c) => mul(acc, x) ^ c, 0);
+    // Error evaluator Ω = S·Λ mod x^ecCount.
+    const omega = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+      for (let j = 0; j <= i && j < locator.length; j++) omega[i] ^= mul(locator[j], syndromes[i - j]);
+    }
+    const derivative = locator.map((c, i) => (i % 2 ? c : 0)).slice(1);
+    let found = 0;
+    for (let j = 0; j < n; j++) {
+      const x = EXP[n - 1 - j];
+      const xInv = EXP[(255 - (n - 1 - j)) % 255];
+      if (polyAt(locator, xInv)) continue;
+      const denom = polyAt(derivative, xInv);
+      if (!denom) return false;
+      block[j] ^= mul(x, div(polyAt(omega, xInv), denom));
+      found++;
+    }
+    return found === locator.length - 1 - trailingZeros(locator) && block.length === n && evalSyndromesClear(block, ecCount);
+  }
+
+  function trailingZeros(poly) {
+    let k = 0;
+    for (let i = poly.length - 1; i > 0 && !poly[i]; i--) k++;
+    return k;
+  }
+
+  function evalSyndromesClear(block, ecCount) {
+    for (let i = 0; i < ecCount; i++) if (block.reduce((acc, c) => mul(acc, EXP[i]) ^ c, 0)) return false;
+    return true;
+  }
+
+  // ---------- Matrix layout ----------
+
+  const sizeOf = (version) => version * 4 + 17;
+  const alignmentCenter = (version) => (version > 1 ? sizeOf(version) - 7 : null);
+
+  function formatBits(mask) {
+    const data = (EC_LEVEL_BITS.M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  // Function patterns of a version: finders, separators, timing, the alignment pattern and the format areas.
+  function functionGrid(version) {
+    const size = sizeOf(version);
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      if (x < 0 || y < 0 || x >= size || y >= size) return;
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const d = Math.max(Math.abs(dx), Math.abs(dy));
+          set(cx + dx, cy + dy, d !== 2 && d !== 4);
+        }
+      }
+    }
+    const a = alignmentCenter(version);
+    if (a !== null) {
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(a + dx, a + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+    drawFormat(set, size, 0);
+    return { size, modules, isFunction };
+  }
+
+  function drawFormat(set, size, mask) {
+    const bits = formatBits(mask);
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  // Data module positions in placement order (two-column zigzag from the bottom right, skipping the timing column).
+  function dataPositions(size, isFunction) {
+    const out = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (!isFunction[y][x]) out.push([x, y]);
+        }
+      }
+    }
+    return out;
+  }
+
+  // ---------- Encoding ----------
+
+  function segmentBits(text) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    if ([...text].every((c) => ALPHANUMERIC.includes(c))) {
+      push(0b0010, 4);
+      push(text.length, 9);
+      for (let i = 0; i + 1 < text.length; i += 2) push(ALPHANUMERIC.indexOf(text[i]) * 45 + ALPHANUMERIC.indexOf(text[i + 1]), 11);
+      if (text.length % 2) push(ALPHANUMERIC.indexOf(text[text.length - 1]), 6);
+    } else {
+      const bytes = new TextEncoder().encode(text);
+      push(0b0100, 4);
+      push(bytes.length, 8);
+      bytes.forEach((b) => push(b, 8));
+    }
+    return bits;
+  }
+
+  function encode(text) {
+    text = String(text);
+    const bits = segmentBits(text);
+    let version = 1;
+    const dataCapacity = (v) => VERSIONS[v][0] - VERSIONS[v][1] * VERSIONS[v][2];
+    while (version <= MAX_VERSION && dataCapacity(version) * 8 < bits.length) version++;
+    if (version > MAX_VERSION) throw new Error(`Text too long for a QR code here (${text.length} characters)`);
+    const [total, ecPerBlock, blockCount] = VERSIONS[version];
+    const capacity = dataCapacity(version) * 8;
+    for (let i = 0; i < 4 && bits.length < capacity; i++) bits.push(0);
+    while (bits.length % 8) bits.push(0);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+    for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const perBlock = data.length / blockCount;
+    const divisor = rsDivisor(ecPerBlock);
+    const blocks = Array.from({ length: blockCount }, (_, b) => data.slice(b * perBlock, (b + 1) * perBlock));
+    const ecBlocks = blocks.map((block) => rsRemainder(block, divisor));
+    const codewords = [];
+    for (let i = 0; i < perBlock; i++) blocks.forEach((block) => codewords.push(block[i]));
+    for (let i = 0; i < ecPerBlock; i++) ecBlocks.forEach((block) => codewords.push(block[i]));
+    if (codewords.length !== total) throw new Error('QR block layout mismatch');
+
+    const grid = functionGrid(version);
+    const positions = dataPositions(grid.size, grid.isFunction);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const modules = grid.modules.map((row) => row.slice());
+      positions.forEach(([x, y], i) => {
+        const bit = i < codewords.length * 8 ? (codewords[i >>> 3] >>> (7 - (i & 7))) & 1 : 0;
+        modules[y][x] = (bit === 1) !== MASKS[mask](x, y);
+      });
+      drawFormat((x, y, dark) => (modules[y][x] = dark), grid.size, mask);
+      const score = penalty(modules);
+      if (!best || score < best.score) best = { score, modules };
+    }
+    return { version, size: grid.size, modules: best.modules };
+  }
+
+  // The standard mask penalty: runs, 2×2 blocks, finder-like patterns and dark/light balance.
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) run++;
+        else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map((d) => (d ? '1' : '0')).join('');
+      score += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+    }
+    for (let y = 0; y + 1 < size; y++) {
+      for (let x = 0; x + 1 < size; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+    score += 10 * Math.floor(Math.abs((dark * 20) / (size * size) - 10));
+    return score;
+  }
+
+  function svg(text, { title = '', className = 'qr-code' } = {}) {
+    const { size, modules } = encode(text);
+    const n = size + QUIET_ZONE * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+    }));
+    const label = title ? `<title>${String(title).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</title>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="${className}" viewBox="0 0 ${n} ${n}" shape-rendering="crispEdges">${label}<rect width="${n}" height="${n}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  // ---------- Decoding ----------
+
+  // Luminance, scaled down so the long side is at most MAX_DECODE_SIZE.
+  function grayscale({ data, width, height }) {
+    const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const gray = new Float32Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = (Math.min(height - 1, Math.floor(y / scale)) * width + Math.min(width - 1, Math.floor(x / scale))) * 4;
+        gray[y * w + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      }
+    }
+    return { gray, w, h };
+  }
+
+  // A 3×3 box blur against sensor noise (it would smear codes only a few pixels per module, so both are tried).
+  function boxBlur({ gray: src, w, h }) {
+    const rows = new Float32Array(w * h);
+    const out = new Float32Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) rows[y * w + x] = (src[y * w + Math.max(0, x - 1)] + src[y * w + x] + src[y * w + Math.min(w - 1, x + 1)]) / 3;
+    }
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) out[y * w + x] = (rows[Math.max(0, y - 1) * w + x] + rows[y * w + x] + rows[Math.min(h - 1, y + 1) * w + x]) / 3;
+    }
+    return { gray: out, w, h };
+  }
+
+  // One global (Otsu) threshold: right for evenly lit photos and screenshots.
+  function otsuBinarize({ gray, w, h }) {
+    const hist = new Array(256).fill(0);
+    gray.forEach((v) => hist[Math.min(255, Math.round(v))]++);
+    const total = w * h;
+    const sumAll = hist.reduce((s, c, i) => s + c * i, 0);
+    let sumB = 0;
+    let weightB = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let t = 0; t < 256; t++) {
+      weightB += hist[t];
+      if (!weightB || weightB === total) continue;
+      sumB += t * hist[t];
+      const meanB = sumB / weightB;
+      const meanF = (sumAll - sumB) / (total - weightB);
+      const between = weightB * (total - weightB) * (meanB - meanF) ** 2;
+      if (between > best) {
+        best = between;
+        threshold = t;
+      }
+    }
+    const bits = new Uint8Array(w * h);
+    gray.forEach((v, i) => (bits[i] = v <= threshold ? 1 : 0));
+    return { bits, w, h };
+  }
+
+  // Against the mean of a window a tenth of the image wide: copes with shadows and uneven light.
+  function localBinarize({ gray, w, h }) {
+    const integral = new Float64Array((w + 1) * (h + 1));
+    for (let y = 0; y < h; y++) {
+      let row = 0;
+      for (let x = 0; x < w; x++) {
+        row += gray[y * w + x];
+        integral[(y + 1) * (w + 1) + x + 1] = integral[y * (w + 1) + x + 1] + row;
+      }
+    }
+    const r = Math.max(8, Math.round(Math.max(w, h) / 10));
+    const bits = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      const y0 = Math.max(0, y - r);
+      const y1 = Math.min(h, y + r + 1);
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.max(0, x - r);
+        const x1 = Math.min(w, x + r + 1);
+        const sum = integral[y1 * (w + 1) + x1] - integral[y0 * (w + 1) + x1] - integral[y1 * (w + 1) + x0] + integral[y0 * (w + 1) + x0];
+        bits[y * w + x] = gray[y * w + x] < (sum / ((x1 - x0) * (y1 - y0))) * 0.9 ? 1 : 0;
+      }
+    }
+    return { bits, w, h };
+  }
+
+  // Runs of 1:1:3:1:1 (dark, light, dark, light, dark) within half a module.
+  function finderRatio(runs) {
+    const total = runs.reduce((a, b) => a + b, 0);
+    if (total < 7 || runs.some((r) => !r)) return 0;
+    const module = total / 7;
+    const tol = module / 2;
+    const ok = Math.abs(runs[0] - module) < tol && Math.abs(runs[1] - module) < tol && Math.abs(runs[2] - 3 * module) < 3 * tol &&
+      Math.abs(runs[3] - module) < tol && Math.abs(runs[4] - module) < tol;
+    return ok ? module : 0;
+  }
+
+  // Runs through pixel (x, y) along (dx, dy): the centre dark run and a light and a dark ring each way.
+  // -> { module, offset } with offset the centre run's midpoint along the line, or null if it isn't a finder.
+  function crossCheck(img, x, y, dx, dy) {
+    const at = (k) => {
+      const px = Math.round(x + dx * k);
+      const py = Math.round(y + dy * k);
+      return px >= 0 && py >= 0 && px < img.w && py < img.h ? img.bits[py * img.w + px] : -1;
+    };
+    if (at(0) !== 1) return null;
+    const scan = (dir) => {
+      let k = 0;
+      const runs = [0, 0, 0];
+      [1, 0, 1].forEach((want, i) => {
+        while (at(k) === want) {
+          runs[i]++;
+          k += dir;
+        }
+      });
+      return runs;
+    };
+    const fwd = scan(1);
+    const back = scan(-1);
+    const module = finderRatio([back[2], back[1], fwd[0] + back[0] - 1, fwd[1], fwd[2]]);
+    return module ? { module, offset: (fwd[0] - back[0]) / 2 } : null;
+  }
+
+  // Scans rows for dark/light runs in finder proportions and confirms each hit across the other directions.
+  function findFinders(img) {
+    const found = [];
+    const step = Math.max(1, Math.floor(img.h / 300));
+    for (let y = 0; y < img.h; y += step) {
+      let runs = [0, 0, 0, 0, 0];
+      let state = 0;
+      const check = (x) => {
+        if (finderRatio(runs)) addCandidate(img, found, x - runs[4] - runs[3] - runs[2] / 2 - 0.5, y);
+      };
+      for (let x = 0; x < img.w; x++) {
+        const dark = img.bits[y * img.w + x] === 1;
+        if (dark === (state % 2 === 0)) runs[state]++;
+        else if (dark) runs[++state]++;
+        else if (state < 4) runs[++state]++;
+        else {
+          check(x);
+          runs = [runs[2], runs[3], runs[4], 1, 0];
+          state = 3;
+        }
+      }
+      if (state === 4) check(img.w);
+    }
+    return found;
+  }
+
+  function addCandidate(img, found, cx, cy) {
+    const v = crossCheck(img, cx, cy, 0, 1);
+    if (!v) return;
+    const y = cy + v.offset;
+    const hz = crossCheck(img, cx, y, 1, 0);
+    if (!hz) return;
+    const x = cx + hz.offset;
+    const d = crossCheck(img, x, y, 1, 1);
+    if (!d) return;
+    const module = (v.module + hz.module) / 2;
+    const near = found.find((f) => Math.hypot(f.x - x, f.y - y) < module * 2 && Math.abs(f.module - module) < module);
+    if (near) {
+      near.x = (near.x * near.count + x) / (near.count + 1);
+      near.y = (near.y * near.count + y) / (near.count + 1);
+      near.module = (near.module * near.count + module) / (near.count + 1);
+      near.count++;
+    } else found.push({ x, y, module, count: 1 });
+  }
+
+  // Orders three finder centres as top-left, top-right, bottom-left.
+  function orderFinders(a, b, c) {
+    const d = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+    let [tl, p, q] = [[a, b, c], [b, a, c], [c, a, b]].sort((m, n) => d(n[1], n[2]) - d(m[1], m[2]))[0];
+    const cross = (p.x - tl.x) * (q.y - tl.y) - (p.y - tl.y) * (q.x - tl.x);
+    return cross > 0 ? [tl, p, q] : [tl, q, p];
+  }
+
+  // Versions to try, nearest the size the finder spacing suggests first. Runs measured at an angle overstate the
+  // module size, so the estimate only orders the attempts.
+  function likelyVersions(tl, tr, bl) {
+    const module = (tl.module + tr.module + bl.module) / 3;
+    const across = (Math.hypot(tr.x - tl.x, tr.y - tl.y) + Math.hypot(bl.x - tl.x, bl.y - tl.y)) / 2;
+    const estimate = (across / module + 7 - 17) / 4;
+    return Array.from({ length: MAX_VERSION }, (_, i) => i + 1).sort((a, b) => Math.abs(a - estimate) - Math.abs(b - estimate));
+  }
+
+  // Samples each module centre (and four points around it, by majority) through the affine map of the finders.
+  function readGrid(img, tl, tr, bl, version) {
+    const size = sizeOf(version);
+    const span = size - 7;
+    const dark = (u, v) => {
+      const fu = (u - 3.5) / span;
+      const fv = (v - 3.5) / span;
+      const x = Math.round(tl.x + fu * (tr.x - tl.x) + fv * (bl.x - tl.x));
+      const y = Math.round(tl.y + fu * (tr.y - tl.y) + fv * (bl.y - tl.y));
+      return x >= 0 && y >= 0 && x < img.w && y < img.h && img.bits[y * img.w + x] === 1 ? 1 : 0;
+    };
+    const sample = (u, v) => dark(u + 0.5, v + 0.5) + dark(u + 0.25, v + 0.25) + dark(u + 0.75, v + 0.25) + dark(u + 0.25, v + 0.75) + dark(u + 0.75, v + 0.75) >= 3;
+    const modules = Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) => sample(x, y)));
+    return { version, size, modules };
+  }
+
+  function readFormat(modules) {
+    const size = modules.length;
+    const copies = [0, 0];
+    const reads = [];
+    drawFormat((x, y) => reads.push(modules[y][x] ? 1 : 0), size, 0);
+    // drawFormat visits bits 0–14 of the first copy, then bits 0–14 of the second, then the dark module.
+    for (let i = 0; i < 15; i++) {
+      copies[0] |= reads[i] << i;
+      copies[1] |= reads[15 + i] << i;
+    }
+    let best = null;
+    for (let ecBits = 0; ecBits < 4; ecBits++) {
+      for (let mask = 0; mask < 8; mask++) {
+        const data = (ecBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        for (const copy of copies) {
+          let diff = 0;
+          for (let x = bits ^ copy; x; x &= x - 1) diff++;
+          if (!best || diff < best.diff) best = { diff, ecBits, mask };
+        }
+      }
+    }
+    return best && best.diff <= 3 ? best : null;
+  }
+
+  function readData(bits) {
+    let pos = 0;
+    const take = (n) => {
+      let v = 0;
+      for (let i = 0; i < n; i++) v = (v << 1) | (bits[pos++] || 0);
+      return v;
+    };
+    let text = '';
+    while (pos + 4 <= bits.length) {
+      const mode = take(4);
+      if (mode === 0) break;
+      if (mode === 0b0010) {
+        let count = take(9);
+        for (; count >= 2; count -= 2) {
+          const v = take(11);
+          text += ALPHANUMERIC[Math.floor(v / 45)] + ALPHANUMERIC[v % 45];
+        }
+        if (count) text += ALPHANUMERIC[take(6)];
+      } else if (mode === 0b0100) {
+        const bytes = Uint8Array.from({ length: take(8) }, () => take(8));
+        text += new TextDecoder().decode(bytes);
+      } else if (mode === 0b0001) {
+        let count = take(10);
+        for (; count >= 3; count -= 3) text += String(take(10)).padStart(3, '0');
+        if (count === 2) text += String(take(7)).padStart(2, '0');
+        else if (count === 1) text += String(take(4));
+      } else return null;
+      if (pos > bits.length) return null;
+    }
+    return text;
+  }
+
+  function decodeGrid({ version, size, modules }) {
+    const format = readFormat(modules);
+    if (!format || format.ecBits !== EC_LEVEL_BITS.M) return null;
+    const { isFunction } = functionGrid(version);
+    const [total, ecPerBlock, blockCount] = VERSIONS[version];
+    const codewords = new Array(total).fill(0);
+    dataPositions(size, isFunction).forEach(([x, y], i) => {
+      if (i >= total * 8) return;
+      const bit = modules[y][x] !== MASKS[format.mask](x, y) ? 1 : 0;
+      codewords[i >>> 3] |= bit << (7 - (i & 7));
+    });
+    const perBlock = total / blockCount - ecPerBlock;
+    const blocks = Array.from({ length: blockCount }, () => []);
+    for (let i = 0; i < perBlock * blockCount; i++) blocks[i % blockCount].push(codewords[i]);
+    for (let i = 0; i < ecPerBlock * blockCount; i++) blocks[i % blockCount].push(codewords[perBlock * blockCount + i]);
+    const data = [];
+    for (const block of blocks) {
+      if (!rsCorrect(block, ecPerBlock)) return null;
+      data.push(...block.slice(0, perBlock));
+    }
+    const bits = [];
+    data.forEach((b) => {
+      for (let i = 7; i >= 0; i--) bits.push((b >>> i) & 1);
+    });
+    return readData(bits);
+  }
+
+  function decode(image) {
+    const sharp = grayscale(image);
+    const blurred = boxBlur(sharp);
+    const attempts = [[sharp, otsuBinarize], [sharp, localBinarize], [blurred, otsuBinarize], [blurred, localBinarize]];
+    for (const [gray, binarize] of attempts) {
+      const img = binarize(gray);
+      const finders = findFinders(img).sort((a, b) => b.count - a.count).slice(0, 6);
+      for (let i = 0; i < finders.length; i++) {
+        for (let j = i + 1; j < finders.length; j++) {
+          for (let k = j + 1; k < finders.length; k++) {
+            const [tl, tr, bl] = orderFinders(finders[i], finders[j], finders[k]);
+            for (const version of likelyVersions(tl, tr, bl)) {
+              const text = decodeGrid(readGrid(img, tl, tr, bl, version));
+              if (text) return text;
+            }
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  const QRCode = { encode, svg, decode };
+  root.QRCode = QRCode;
+  if (typeof module === 'object' && module.exports) module.exports = QRCode;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,6 +1,5 @@
-/* Service Worker for serving selected JSON files */
-let currentExamText = null;
-let currentSolutionsText = null;
+/* Service Worker for serving loaded exam datasets (see datasets.js) */
+importScripts('datasets.js');
 
 self.addEventListener('install', (event) => {
   self.skipWaiting();
@@ -10,76 +9,79 @@ self.addEventListener('activate', (event) => {
   event.waitUntil(self.clients.claim());
 });
 
-self.addEventListener('message', async (event) => {
-  const { type, text, target } = event.data || {};
-  
-  if (type === 'setExamData') {
-    try {
-      JSON.parse(text); // Validate JSON
-      currentExamText = text;
-      event.ports[0] && event.ports[0].postMessage({ ok: true });
-    } catch (e) {
-      event.ports[0] && event.ports[0].postMessage({ ok: false, error: e.message });
-    }
-  } 
-  else if (type === 'setSolutionsData') {
-    try {
-      JSON.parse(text); // Validate JSON
-      currentSolutionsText = text;
-      event.ports[0] && event.ports[0].postMessage({ ok: true });
-    } catch (e) {
-      event.ports[0] && event.ports[0].postMessage({ ok: false, error: e.message });
-    }
+function reply(event, promise) {
+  const port = event.ports[0];
+  event.waitUntil(
+    promise.then(
+      (result) => port && port.postMessage({ ok: true, result }),
+      (e) => port && port.postMessage({ ok: false, error: e.message })
+    )
+  );
+}
+
+// Older loaders post the JSON text; it lands in the "default" set so it survives the worker stopping.
+const LEGACY_TARGETS = { setExamData: 'exam', setSolutionsData: 'solutions' };
+
+self.addEventListener('message', (event) => {
+  const { type, text, target, name, fileName } = event.data || {};
+
+  if (type in LEGACY_TARGETS) {
+    reply(event, E3Datasets.put('default', { text, target: LEGACY_TARGETS[type] }));
   }
   else if (type === 'setData') {
-    // Generic setter - sets both to same data (for templates that use exam_data.json)
-    try {
-      JSON.parse(text);
-      if (target === 'solutions') {
-        currentSolutionsText = text;
-      } else if (target === 'exam') {
-        currentExamText = text;
-      } else {
-        // Default: set both
-        currentExamText = text;
-        currentSolutionsText = text;
-      }
-      event.ports[0] && event.ports[0].postMessage({ ok: true });
-    } catch (e) {
-      event.ports[0] && event.ports[0].postMessage({ ok: false, error: e.message });
-    }
+    // Generic setter - sets both to same data unless target is 'exam' or 'solutions'
+    reply(event, E3Datasets.put(name || 'default', { text, fileName, target }));
   }
   else if (type === 'claim') {
     self.clients.claim();
   }
 });
 
+function jsonError(status, error) {
+  return new Response(JSON.stringify({ error }, null, 2), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// The set a subresource belongs to: ?set= on the request itself, else on the page that asked for it.
+function requestedSet(url, referrer) {
+  if (url.searchParams.has('set')) return url.searchParams.get('set');
+  try {
+    return referrer ? new URL(referrer).searchParams.get('set') : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function serveData(target, set) {
+  const res = await E3Datasets.data(set, target);
+  if (res) return res;
+  const file = target === 'exam' ? 'exam_data.json' : 'solutions_data.json';
+  if (set) return jsonError(404, `No ${target} JSON in the dataset "${set}". Open loader.html and load or replace it.`);
+  return jsonError(400, `No ${target} JSON loaded for ${file}. Open loader.html and choose a file first.`);
+}
+
+// Images dropped into the loader, by file name; anything else (the pages' own scripts included) goes to the network.
+const IMAGE_FILE = /\.(png|jpe?g|gif|svg|webp|avif|bmp)$/i;
+
+async function serveFile(request, set) {
+  const name = E3Datasets.baseName(new URL(request.url).pathname);
+  const res = IMAGE_FILE.test(name) && (await E3Datasets.file(set, name));
+  return res || fetch(request);
+}
+
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
-  
-  // Intercept exam_data.json
+  const set = requestedSet(url, event.request.referrer);
+
+  // Intercept exam_data.json and solutions_data.json
   if (url.pathname.endsWith('/exam_data.json')) {
-    if (currentExamText) {
-      event.respondWith(new Response(currentExamText, {
-        headers: { 'Content-Type': 'application/json; charset=utf-8' }
-      }));
-    } else {
-      const msg = JSON.stringify({ error: "No exam JSON loaded. Open loader.html and choose a file first." }, null, 2);
-      event.respondWith(new Response(msg, { status: 400, headers: { 'Content-Type': 'application/json' } }));
-    }
+    event.respondWith(serveData('exam', set));
     return;
   }
-  
-  // Intercept solutions_data.json
   if (url.pathname.endsWith('/solutions_data.json')) {
-    if (currentSolutionsText) {
-      event.respondWith(new Response(currentSolutionsText, {
-        headers: { 'Content-Type': 'application/json; charset=utf-8' }
-      }));
-    } else {
-      const msg = JSON.stringify({ error: "No solutions JSON loaded. Open loader.html and choose a file first." }, null, 2);
-      event.respondWith(new Response(msg, { status: 400, headers: { 'Content-Type': 'application/json' } }));
-    }
+    event.respondWith(serveData('solutions', set));
     return;
   }
+
+  if (event.request.method !== 'GET' || event.request.mode === 'navigate' || url.origin !== self.location.origin) return;
+  event.respondWith(serveFile(event.request, set));
 });
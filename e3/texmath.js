@@ -0,0 +1,401 @@
+/**
+ * TexMath — a small, dependency-free renderer for the TeX subset used in exam text.
+ *
+ * Inline math is written $...$ or \(...\), display math $$...$$ or \[...\]; \$ is a literal dollar.
+ * Supported: ^ _ \frac \dfrac \tfrac \sqrt[n]{} \vec \hat \bar \overline \dot \ddot \tilde
+ * \text \mathrm \mathbf \operatorname \left \right, Greek letters, common relations/operators and
+ * upright function names (\sin, \ln, ...). Unknown commands are shown in red rather than thrown.
+ * Bare combining marks (F⃗, r̂) outside math are rendered as \vec / \hat too.
+ *
+ * Output is plain HTML + the stylesheet in TexMath.css, so pages that embed pre-rendered math
+ * (the builder's HTML export) need no script at all.
+ *
+ *   TexMath.render('\\vec{E} = \\frac{kq}{r^2}\\hat{r}')            -> '<span class="tm">…</span>'
+ *   TexMath.renderText('Find $\\vec{F}$ & more', { html: false })   -> escaped text with math rendered
+ *   TexMath.renderText(stemHtml, { html: true })                     -> HTML passed through, math rendered
+ */
+(function (root) {
+  'use strict';
+
+  const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+  };
+
+  // name -> [glyph, spacing class]
+  const SYMBOLS = {
+    cdot: ['·', 'bin'], times: ['×', 'bin'], div: ['÷', 'bin'], pm: ['±', 'bin'], mp: ['∓', 'bin'],
+    ast: ['∗', 'bin'], star: ['⋆', 'bin'], circ: ['∘', ''], bullet: ['•', 'bin'], cross: ['×', 'bin'],
+    cup: ['∪', 'bin'], cap: ['∩', 'bin'], oplus: ['⊕', 'bin'], otimes: ['⊗', 'bin'],
+    le: ['≤', 'rel'], leq: ['≤', 'rel'], ge: ['≥', 'rel'], geq: ['≥', 'rel'], ne: ['≠', 'rel'], neq: ['≠', 'rel'],
+    approx: ['≈', 'rel'], sim: ['∼', 'rel'], simeq: ['≃', 'rel'], cong: ['≅', 'rel'], equiv: ['≡', 'rel'],
+    propto: ['∝', 'rel'], ll: ['≪', 'rel'], gg: ['≫', 'rel'], in: ['∈', 'rel'], parallel: ['∥', 'rel'],
+    perp: ['⊥', 'rel'], to: ['→', 'rel'], rightarrow: ['→', 'rel'], leftarrow: ['←', 'rel'],
+    gets: ['←', 'rel'], leftrightarrow: ['↔', 'rel'], Rightarrow: ['⇒', 'rel'], Leftarrow: ['⇐', 'rel'],
+    Leftrightarrow: ['⇔', 'rel'], implies: ['⇒', 'rel'], mapsto: ['↦', 'rel'],
+    infty: ['∞', ''], partial: ['∂', ''], nabla: ['∇', ''], hbar: ['ℏ', ''], ell: ['ℓ', ''],
+    angle: ['∠', ''], degree: ['°', ''], prime: ['′', ''], forall: ['∀', ''], exists: ['∃', ''],
+    emptyset: ['∅', ''], cdots: ['⋯', ''], ldots: ['…', ''], dots: ['…', ''], vdots: ['⋮', ''],
+    int: ['∫', 'op'], iint: ['∬', 'op'], oint: ['∮', 'op'], sum: ['∑', 'op'], prod: ['∏', 'op'],
+    langle: ['⟨', ''], rangle: ['⟩', ''], lvert: ['|', ''], rvert: ['|', ''], vert: ['|', ''],
+    lVert: ['‖', ''], rVert: ['‖', ''], '|': ['‖', ''], lfloor: ['⌊', ''], rfloor: ['⌋', ''],
+    lceil: ['⌈', ''], rceil: ['⌉', ''],
+    '{': ['{', ''], '}': ['}', ''], '%': ['%', ''], $: ['$', ''], '&': ['&', ''], '#': ['#', ''], _: ['_', '']
+  };
+
+  const SPACES = { ',': ' ', ':': ' ', ';': ' ', ' ': ' ', quad: ' ', qquad: '  ', '!': '' };
+
+  const FUNCTIONS = [
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'ln', 'log', 'exp', 'lim', 'min', 'max', 'det', 'dim', 'deg'
+  ];
+
+  const ACCENTS = { vec: 'vec', overrightarrow: 'vec', hat: 'hat', widehat: 'hat', bar: 'bar', overline: 'bar', dot: 'dot', ddot: 'ddot', tilde: 'tilde', widetilde: 'tilde' };
+
+  // Sizing commands are accepted and ignored: delimiters are not stretched.
+  const IGNORED = ['displaystyle', 'textstyle', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'limits', 'nolimits'];
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  function decodeEntities(str) {
+    return str
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+  }
+
+  // Combining arrow (U+20D7) and hat (U+0302) written directly after a character.
+  function combiningMarks(html) {
+    return html
+      .replace(/([^\s<>;&])⃗/g, '<span class="tm-acc tm-vec">$1</span>')
+      .replace(/([^\s<>;&])̂/g, '<span class="tm-acc tm-hat">$1</span>');
+  }
+
+  function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '\\') {
+        const m = /^[A-Za-z]+/.exec(src.slice(i + 1));
+        const name = m ? m[0] : src[i + 1] || '';
+        i += 1 + name.length;
+        if (name === 'text' || name === 'textrm' || name === 'mbox' || name === 'textit' || name === 'textbf') {
+          // \text{...} keeps its contents verbatim, spaces included
+          while (src[i] === ' ') i++;
+          if (src[i] === '{') {
+            let depth = 1;
+            let j = i + 1;
+            while (j < src.length && depth) {
+              if (src[j] === '{') depth++;
+              else if (src[j] === '}') depth--;
+              j++;
+            }
+            tokens.push({ type: 'text', value: src.slice(i + 1, j - 1), style: name });
+            i = j;
+            continue;
+          }
+        }
+        tokens.push({ type: 'cmd', value: name });
+      } else if (/\s/.test(ch)) {
+        i++;
+      } else if (src[i + 1] === '⃗' || src[i + 1] === '̂') {
+        tokens.push({ type: 'cmd', value: src[i + 1] === '⃗' ? 'vec' : 'hat' });
+        tokens.push({ type: 'char', value: ch });
+        i += 2;
+      } else {
+        tokens.push({ type: 'char', value: ch });
+        i++;
+      }
+    }
+    return tokens;
+  }
+
+  function Parser(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.upright = false;
+    this.unary = true;
+  }
+
+  Parser.prototype.peek = function () {
+    return this.tokens[this.pos];
+  };
+
+  Parser.prototype.next = function () {
+    return this.tokens[this.pos++];
+  };
+
+  Parser.prototype.isChar = function (value) {
+    const t = this.peek();
+    return !!t && t.type === 'char' && t.value === value;
+  };
+
+  // Parses atoms until a closing brace, \right, or the end of input.
+  Parser.prototype.parseList = function () {
+    let out = '';
+    while (this.pos < this.tokens.length) {
+      const t = this.peek();
+      if (t.type === 'char' && t.value === '}') break;
+      if (t.type === 'cmd' && t.value === 'right') break;
+      // a leading sign (or one right after an operator/opening bracket) is unary: no operator spacing
+      this.unary = out === '' || /tm-(rel|bin)">[^<]*<\/span>$|[([{]$/.test(out);
+      out += this.parseScripted();
+    }
+    return out;
+  };
+
+  Parser.prototype.parseScripted = function () {
+    const base = this.parseAtom();
+    let sup = null;
+    let sub = null;
+    while (this.isChar('^') || this.isChar('_') || this.isChar("'")) {
+      const t = this.next();
+      if (t.value === "'") sup = (sup || '') + '′';
+      else if (t.value === '^') sup = (sup || '') + this.parseGroup();
+      else sub = this.parseGroup();
+    }
+    if (sup !== null && sub !== null) {
+      return `${base}<span class="tm-supsub"><span>${sup}</span><span>${sub}</span></span>`;
+    }
+    if (sup !== null) return `${base}<sup class="tm-sup">${sup}</sup>`;
+    if (sub !== null) return `${base}<sub class="tm-sub">${sub}</sub>`;
+    return base;
+  };
+
+  // A braced group or a single atom (the argument of ^, _, \frac, ...).
+  Parser.prototype.parseGroup = function () {
+    if (this.isChar('{')) {
+      this.next();
+      const inner = this.parseList();
+      if (this.isChar('}')) this.next();
+      return inner;
+    }
+    if (this.pos >= this.tokens.length) return '';
+    return this.parseAtom();
+  };
+
+  Parser.prototype.withUpright = function (fn) {
+    const saved = this.upright;
+    this.upright = true;
+    const out = fn();
+    this.upright = saved;
+    return out;
+  };
+
+  Parser.prototype.parseAtom = function () {
+    const t = this.next();
+    if (!t) return '';
+    if (t.type === 'text') {
+      const inner = escapeHtml(t.value);
+      if (t.style === 'textit') return `<span class="tm-text"><i>${inner}</i></span>`;
+      if (t.style === 'textbf') return `<span class="tm-text"><b>${inner}</b></span>`;
+      return `<span class="tm-text">${inner}</span>`;
+    }
+    if (t.type === 'char') return this.renderChar(t.value);
+    return this.renderCommand(t.value);
+  };
+
+  Parser.prototype.renderChar = function (ch) {
+    if (ch === '{') {
+      const inner = this.parseList();
+      if (this.isChar('}')) this.next();
+      return inner;
+    }
+    if (ch === '}') return '';
+    if (/[A-Za-z]/.test(ch)) return this.upright ? ch : `<i>${ch}</i>`;
+    if (ch === '-') return this.unary ? '−' : '<span class="tm-bin">−</span>';
+    if (ch === '+' || ch === '±') return this.unary ? ch : `<span class="tm-bin">${ch}</span>`;
+    if (ch === '×' || ch === '·' || ch === '÷') return `<span class="tm-bin">${ch}</span>`;
+    if (ch === '*') return '<span class="tm-bin">∗</span>';
+    if (ch === '=' || ch === '<' || ch === '>' || ch === '≈' || ch === '≤' || ch === '≥' || ch === '≠' || ch === '→') {
+      return `<span class="tm-rel">${escapeHtml(ch)}</span>`;
+    }
+    if (ch === ',') return ',<span class="tm-thin"></span>';
+    if (ch === '~') return ' ';
+    return escapeHtml(ch);
+  };
+
+  Parser.prototype.renderCommand = function (name) {
+    if (GREEK[name]) {
+      const glyph = GREEK[name];
+      return /[a-z]/.test(name[0]) && !this.upright ? `<i>${glyph}</i>` : glyph;
+    }
+    if (SYMBOLS[name]) {
+      const [glyph, cls] = SYMBOLS[name];
+      return cls ? `<span class="tm-${cls}">${escapeHtml(glyph)}</span>` : escapeHtml(glyph);
+    }
+    if (name in SPACES) return SPACES[name];
+    if (FUNCTIONS.includes(name)) return `<span class="tm-fn">${name}</span>`;
+    if (IGNORED.includes(name)) return '';
+    if (ACCENTS[name]) return `<span class="tm-acc tm-${ACCENTS[name]}">${this.parseGroup()}</span>`;
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac': {
+        const num = this.parseGroup();
+        const den = this.parseGroup();
+        return `<span class="tm-frac"><span class="tm-num">${num}</span><span class="tm-den">${den}</span></span>`;
+      }
+      case 'sqrt': {
+        let index = '';
+        if (this.isChar('[')) {
+          this.next();
+          while (this.pos < this.tokens.length && !this.isChar(']')) index += this.parseScripted();
+          this.next();
+        }
+        const body = this.parseGroup();
+        return `<span class="tm-sqrt">${index ? `<sup class="tm-root">${index}</sup>` : ''}<span class="tm-radic">√</span><span class="tm-radicand">${body}</span></span>`;
+      }
+      case 'mathrm':
+      case 'operatorname':
+        return `<span class="tm-fn">${this.withUpright(() => this.parseGroup())}</span>`;
+      case 'mathbf':
+      case 'boldsymbol':
+        return `<b>${this.withUpright(() => this.parseGroup())}</b>`;
+      case 'mathit':
+        return `<i>${this.parseGroup()}</i>`;
+      case 'left':
+      case 'right': {
+        const d = this.next();
+        if (!d || (d.type === 'char' && d.value === '.')) return '';
+        return d.type === 'cmd' ? this.renderCommand(d.value) : escapeHtml(d.value);
+      }
+      case '\\':
+        return '<br/>';
+      default:
+        return `<span class="tm-err" title="Unsupported TeX command">\\${escapeHtml(name)}</span>`;
+    }
+  };
+
+  /** Renders one TeX expression (without delimiters) to an HTML string. */
+  function render(tex, opts) {
+    const display = !!(opts && opts.display);
+    const p = new Parser(tokenize(String(tex)));
+    let out = '';
+    while (p.pos < p.tokens.length) {
+      out += p.parseList();
+      // a stray } or \right at top level: skip it and keep going
+      if (p.pos < p.tokens.length) p.next();
+    }
+    return `<span class="tm ${display ? 'tm-display' : 'tm-inline'}">${out}</span>`;
+  }
+
+  // Finds the closing delimiter for inline $...$: not preceded by space/backslash, not followed by a digit.
+  function closingDollar(src, from) {
+    for (let j = from; j < src.length; j++) {
+      if (src[j] === '\\') { j++; continue; }
+      if (src[j] === '$') {
+        if (/\s/.test(src[j - 1]) || /\d/.test(src[j + 1] || '')) return -1;
+        return j;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Splits a string at its math delimiters ($...$, $$...$$, \(...\), \[...\]) into
+   * [{ text }, { tex, display }, ...]; an escaped \$ becomes a literal dollar in the text.
+   */
+  function split(str) {
+    const src = String(str ?? '');
+    const out = [];
+    let text = '';
+    let i = 0;
+    const push = (tex, display, next) => {
+      if (text) out.push({ text });
+      out.push({ tex, display });
+      text = '';
+      i = next;
+    };
+    while (i < src.length) {
+      const two = src.slice(i, i + 2);
+      let end = -1;
+      if (two === '\\$') {
+        text += '$';
+        i += 2;
+      } else if (two === '$$' && (end = src.indexOf('$$', i + 2)) > i + 2) {
+        push(src.slice(i + 2, end), true, end + 2);
+      } else if (two === '\\[' && (end = src.indexOf('\\]', i + 2)) >= 0) {
+        push(src.slice(i + 2, end), true, end + 2);
+      } else if (two === '\\(' && (end = src.indexOf('\\)', i + 2)) >= 0) {
+        push(src.slice(i + 2, end), false, end + 2);
+      } else if (src[i] === '$' && src[i + 1] && !/[\s$]/.test(src[i + 1]) && (end = closingDollar(src, i + 1)) > 0) {
+        push(src.slice(i + 1, end), false, end + 1);
+      } else {
+        text += src[i];
+        i++;
+      }
+    }
+    if (text) out.push({ text });
+    return out;
+  }
+
+  /**
+   * Renders every math span in a string. With { html: true } the surrounding text is trusted HTML
+   * and passed through; otherwise it is escaped. Either way the result is HTML.
+   */
+  function renderText(str, opts) {
+    const html = !!(opts && opts.html);
+    return split(str)
+      .map(seg => (seg.tex === undefined
+        ? combiningMarks(html ? seg.text : escapeHtml(seg.text))
+        : render(html ? decodeEntities(seg.tex) : seg.tex, { display: seg.display })))
+      .join('');
+  }
+
+  /** True when renderText would find math (or combining vector marks) in the string. */
+  function hasMath(str) {
+    return /\$|\\\(|\\\[|[⃗̂]/.test(String(str ?? ''));
+  }
+
+  const css = `
+.tm { font-family: "Times New Roman", Georgia, serif; font-style: normal; white-space: nowrap; }
+.tm-display { display: block; text-align: center; margin: 0.4em 0; }
+.tm i { font-style: italic; }
+.tm-bin { padding: 0 0.2em; }
+.tm-rel { padding: 0 0.28em; }
+.tm-op { font-size: 1.25em; vertical-align: -0.1em; padding-right: 0.1em; }
+.tm-fn { font-style: normal; padding-right: 0.1em; }
+.tm-thin { padding-right: 0.15em; }
+.tm-text { font-style: normal; white-space: pre; }
+.tm-sup, .tm-sub { font-size: 0.72em; line-height: 0; }
+.tm-supsub { display: inline-flex; flex-direction: column; vertical-align: middle; font-size: 0.72em; line-height: 1.05; }
+.tm-frac { display: inline-flex; flex-direction: column; vertical-align: middle; text-align: center; margin: 0 0.12em; line-height: 1.15; }
+.tm-num { border-bottom: 1px solid currentColor; padding: 0 0.15em; }
+.tm-den { padding: 0 0.15em; }
+.tm-display .tm-frac { font-size: 1em; }
+.tm-inline .tm-frac { font-size: 0.85em; }
+.tm-sqrt { white-space: nowrap; }
+.tm-root { font-size: 0.6em; margin-right: -0.35em; vertical-align: 0.8em; }
+.tm-radicand { border-top: 1px solid currentColor; padding: 0 0.1em; }
+.tm-acc { display: inline-block; position: relative; padding-top: 0.15em; }
+.tm-acc::after { position: absolute; left: 0; right: 0; text-align: center; line-height: 1; font-family: inherit; font-style: normal; }
+.tm-vec::after { content: "\\2192"; top: -0.45em; font-size: 0.55em; }
+.tm-hat::after { content: "^"; top: -0.4em; font-size: 0.6em; }
+.tm-dot::after { content: "\\02D9"; top: -0.45em; font-size: 0.8em; }
+.tm-ddot::after { content: "\\00A8"; top: -0.45em; font-size: 0.8em; }
+.tm-tilde::after { content: "~"; top: -0.55em; font-size: 0.7em; }
+.tm-bar { text-decoration: overline; }
+.tm-err { color: #b00020; font-family: monospace; }
+`;
+
+  /** Adds the stylesheet to a document once. */
+  function injectStyles(doc) {
+    const d = doc || root.document;
+    if (!d || d.getElementById('texmath-css')) return;
+    const style = d.createElement('style');
+    style.id = 'texmath-css';
+    style.textContent = css;
+    d.head.appendChild(style);
+  }
+
+  const TexMath = { render, renderText, split, hasMath, injectStyles, css };
+  root.TexMath = TexMath;
+  if (typeof module === 'object' && module.exports) module.exports = TexMath;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,86 @@
+/**
+ * VariantCode — the short code printed on each exam that names its variant and the bank it came from.
+ *
+ * A code is "<seed index>-<bank hash>-<check>", e.g. "12-7K3M9QXP-B4": the hash is 8 Crockford base-32 characters
+ * (40 bits) of the bank and exam settings, the check 2 more over everything before it, so a mistyped code is caught
+ * before any lookup. Parsing is forgiving the way Crockford base 32 is: case, spaces and O/I/L for 0/1/1 don't matter.
+ *
+ *   VariantCode.hash({ bank, meta })       -> '7K3M9QXP' (key order inside objects doesn't matter)
+ *   VariantCode.make(12, '7K3M9QXP')       -> '12-7K3M9QXP-B4'
+ *   VariantCode.parse(' 12-7k3m9qxp-b4 ')  -> { seedIndex: 12, hash: '7K3M9QXP', code: '12-7K3M9QXP-B4' } (throws if invalid)
+ *   VariantCode.looksLike('12-7K3M…')      -> true for anything shaped like a code (valid or not)
+ */
+(function (root) {
+  'use strict';
+
+  const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+  const HASH_LENGTH = 8;
+  const CHECK_LENGTH = 2;
+  const CODE_RE = /^(\d+)-([0-9A-Z]{8})-([0-9A-Z]{2})$/;
+
+  // cyrb53: a fast 53-bit string hash, the same in every JavaScript engine.
+  function cyrb53(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+
+  function base32(n, length) {
+    let out = '';
+    for (let i = 0; i < length; i++) {
+      out = ALPHABET[n % 32] + out;
+      n = Math.floor(n / 32);
+    }
+    return out;
+  }
+
+  // JSON with object keys sorted, so equal values hash equally however they were built.
+  function stableJSON(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? 'null' : stableJSON(v))).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort().filter((k) => value[k] !== undefined && typeof value[k] !== 'function');
+      return `{${entries.map((k) => `${JSON.stringify(k)}:${stableJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  function hash(value) {
+    return base32(cyrb53(stableJSON(value)) % 2 ** (5 * HASH_LENGTH), HASH_LENGTH);
+  }
+
+  function check(body) {
+    return base32(cyrb53(body) % 2 ** (5 * CHECK_LENGTH), CHECK_LENGTH);
+  }
+
+  function make(seedIndex, bankHash) {
+    const body = `${seedIndex}-${bankHash}`;
+    return `${body}-${check(body)}`;
+  }
+
+  function normalize(text) {
+    return String(text ?? '').toUpperCase().replace(/\s+/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+  }
+
+  function parse(text) {
+    const code = normalize(text);
+    const m = CODE_RE.exec(code);
+    if (!m) throw new Error(`"${String(text ?? '').trim()}" is not a variant code (expected something like 12-7K3M9QXP-B4).`);
+    if (check(`${m[1]}-${m[2]}`) !== m[3]) throw new Error(`Variant code ${code} fails its check characters; it was probably mistyped or misread.`);
+    return { seedIndex: Number(m[1]), hash: m[2], code };
+  }
+
+  function looksLike(text) {
+    return /^\d+-[0-9A-Z]{8}-/.test(normalize(text));
+  }
+
+  const VariantCode = { hash, make, parse, looksLike, stableJSON };
+  root.VariantCode = VariantCode;
+  if (typeof module === 'object' && module.exports) module.exports = VariantCode;
+})(typeof window !== 'undefined' ? window : globalThis);
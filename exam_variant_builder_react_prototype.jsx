@@ -1,4 +1,5 @@
 import React, { useMemo, useState } from "react";
+import ExamCore from "./examcore.js";
 
 /**
  * Exam Variant Builder – minimal working prototype (+ image authoring)
@@ -12,20 +13,10 @@ import React, { useMemo, useState } from "react";
  * - Export self‑contained HTML (embeds images as data URLs)
  */
 
-// ---------- Utility: seeded RNG (mulberry32) ----------
-function mulberry32(a) {
-  return function () {
-    let t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-// Greek superscripts for variant markers
-const GREEK = [
-  "α", "β", "γ", "δ", "ε", "ζ", "η", "θ", "ι", "κ", "λ", "μ", "ν", "ξ", "ο", "π", "ρ", "σ", "τ", "υ", "φ", "χ", "ψ", "ω",
-];
+// ---------- Shared core ----------
+// Seeded draws, answer matching and the HTML export come from examcore.js, the module index.html and the
+// examgen CLI use, so this prototype builds the same variants they do.
+const { GREEK, DEFAULT_META, renderTemplate, generateBindings, chooseCorrectIndex, buildVariant, renderExamHTML, buildStandaloneHTML } = ExamCore;
 
 // ---------- Problem schema ----------
 /**
@@ -80,60 +71,6 @@ const DEMO_BANK = [
   },
 ];
 
-// ---------- Helpers ----------
-function pickParam(rand, min, max, step = 1) {
-  const nSteps = Math.floor((max - min) / step) + 1;
-  const k = Math.floor(rand() * nSteps);
-  return min + k * step;
-}
-
-function renderTemplate(stem, bindings) {
-  return stem.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(bindings[name] ?? ""));
-}
-
-function roundTo(x, d = 0) {
-  const p = Math.pow(10, d);
-  return Math.round(x * p) / p;
-}
-
-function numericFromOption(opt) {
-  // Extract first numeric-like token from a string (e.g., "0.5 A" -> 0.5)
-  const m = String(opt).match(/-?\d+(?:\.\d+)?/);
-  return m ? parseFloat(m[0]) : NaN;
-}
-
-function chooseCorrectIndex(problem, bindings) {
-  // Evaluate answer expression in a sandboxed scope
-  const scope = { ...bindings, Math };
-  const answer = Function(...Object.keys(scope), `return (${problem.answerExpr});`)(...Object.values(scope));
-
-  if (problem.selectRule?.match === "numeric") {
-    const r = problem.selectRule.rounding ?? 2;
-    const target = roundTo(Number(answer), r);
-    // Find option with numeric value matching target at same rounding
-    let bestIdx = -1;
-    for (let i = 0; i < problem.options.length; i++) {
-      const v = numericFromOption(problem.options[i]);
-      if (!Number.isFinite(v)) continue;
-      if (roundTo(v, r) === target) {
-        bestIdx = i;
-        break;
-      }
-    }
-    return { index: bestIdx, numericAnswer: target };
-  }
-  // Fallback: string match
-  const idx = problem.options.findIndex((o) => String(o).trim() === String(answer).trim());
-  return { index: idx, numericAnswer: undefined };
-}
-
-function generateBindings(problem, seed) {
-  const rand = mulberry32(seed);
-  const out = {};
-  for (const p of problem.params) out[p.name] = pickParam(rand, p.min, p.max, p.step);
-  return out;
-}
-
 // ---------- Image utilities ----------
 async function fileToDataUrl(file) {
   return new Promise((resolve, reject) => {
@@ -278,14 +215,7 @@ function VariantHeader({ seedIndex, title, subtitle }) {
 }
 
 function ExamView({ bank, seedIndex, showSolutions, layoutMode, onUpdateImages }) {
-  const variantSeed = 12345 + seedIndex; // base seed + index
-  const rng = mulberry32(variantSeed);
-
-  const rendered = bank.map((p) => {
-    const b = generateBindings(p, Math.floor(rng() * 1e9));
-    const { index, numericAnswer } = chooseCorrectIndex(p, b);
-    return { p, b, index, numericAnswer };
-  });
+  const rendered = buildVariant(bank, seedIndex);
 
   return (
     <div>
@@ -294,11 +224,11 @@ function ExamView({ bank, seedIndex, showSolutions, layoutMode, onUpdateImages }
         <div className="text-sm text-gray-600">Multiple Choice — 10 questions</div>
       </div>
 
-      {rendered.map(({ p, b, index }, qIdx) => (
+      {rendered.map(({ p, stem, index, label }) => (
         <div key={p.id} className="my-4 border-l-4 pl-3">
           <div className="font-medium mb-2">
-            <span className="q-label mr-1">[Q{qIdx + 1}]</span>
-            {renderTemplate(p.stem, b)}
+            <span className="q-label mr-1">[{label}]</span>
+            {stem}
           </div>
 
           {!!(p.images && p.images.length) && (
@@ -347,29 +277,6 @@ function downloadHTML(filename, html) {
   URL.revokeObjectURL(url);
 }
 
-function buildStandaloneHTML({ title, bodyHTML, showSolutions }) {
-  // Minimal self-contained HTML that reuses class names compatible with your print styles
-  // In production, fetch and inline the exact CSS from your templates.
-  const baseCss = `
-  /* Minimal print-friendly CSS; align class names with your templates */
-  body { font-family: 'Times New Roman', Georgia, serif; font-size: 11pt; line-height: 1.4; color: #000; }
-  .q-label { color: #2b579a; font-weight: 700; }
-  .option { margin: 0.18rem 0; }
-  .options { margin-top: 0.35rem; }
-  img { page-break-inside: avoid; }
-  @media print { @page { size: Letter; margin: 0.5in; } }
-  .solutions .option { background: #fff59d; font-weight: 700; }
-  `;
-
-  return `<!DOCTYPE html><html><head><meta charset="utf-8"/>
-  <title>${title}</title>
-  <style>${baseCss}</style>
-  </head>
-  <body class="${showSolutions ? "solutions" : ""}">
-    ${bodyHTML}
-  </body></html>`;
-}
-
 export default function App() {
   const [bank, setBank] = useState(DEMO_BANK);
   const [editing, setEditing] = useState(false);
@@ -379,41 +286,12 @@ export default function App() {
   const [layoutMode, setLayoutMode] = useState(false);
 
   const exportNow = () => {
-    // Build HTML string directly (mirrors ExamView output)
-    const rng = mulberry32(12345 + seedIndex);
-    let html = `<div>`;
-    const items = bank.map((p, idx) => {
-      const b = generateBindings(p, Math.floor(rng() * 1e9));
-      const { index } = chooseCorrectIndex(p, b);
-      const stem = renderTemplate(p.stem, b);
-      const imgs = (p.images||[])
-        .map((img) => {
-          const style = `style=\"width:${img.widthPct ?? 60}%;display:inline-block;\"`;
-          const alignWrapStart = `<div style=\"text-align:${img.align||"center"}\">`;
-          const alignWrapEnd = `</div>`;
-          return `${alignWrapStart}<img src=\"${img.src}\" alt=\"${img.alt||""}\" ${style}/>${alignWrapEnd}`;
-        })
-        .join("");
-      const opts = p.options
-        .map((opt, i) => {
-          const cls = showSolutions && i === index ? "option" + " solutions-correct" : "option";
-          return `<div class=\"${cls}\">${String.fromCharCode(97 + i)}. ${opt}</div>`;
-        })
-        .join("");
-      return `<div class=\"question\"><div class=\"stem\"><span class=\"q-label\">[Q${idx + 1}]</span> ${stem}</div>${imgs ? `<div class=\"images\">${imgs}</div>` : ""}<div class=\"options\">${opts}</div></div>`;
-    });
-    html += items.join("") + `</div>`;
-
-    const header = `<div class=\"header\"><h1>Physics 227 <sup>${GREEK[seedIndex % GREEK.length] || "α"}</sup></h1><h2>${
-      showSolutions ? "Practice Exam — Solutions" : "Practice Exam"
-    }</h2></div>`;
-
-    const full = buildStandaloneHTML({
-      title: `Exam Variant ${seedIndex}`,
-      bodyHTML: header + html,
-      showSolutions,
-    });
-    downloadHTML(`exam_variant_${seedIndex}${showSolutions ? "_solutions" : ""}.html`, full);
+    const { html, errors } = renderExamHTML({ bank, meta: DEFAULT_META, seedIndex, showSolutions });
+    if (errors.length) {
+      alert("Cannot export:\n" + errors.join("\n"));
+      return;
+    }
+    downloadHTML(`exam_variant_${seedIndex}${showSolutions ? "_solutions" : ""}.html`, html);
   };
 
   return (
@@ -0,0 +1,2081 @@
+/**
+ * ExamCore — variant generation and exam building shared by the builder (index.html) and the examgen CLI.
+ *
+ * Everything the builder does to turn a bank into exams that needs no DOM or React lives here: seeded parameter
+ * draws, the expression engine, answer matching, drawn figures, blueprint selection, the standalone HTML export,
+ * e3 JSON, the on-screen exam page, answer keys and batch files. The browser loads it as a script after the e3/
+ * helpers it uses (TexMath, ExamPrint, VariantCode, QRCode); under Node it requires them from e3/.
+ *
+ *   ExamCore.buildVariant(bank, seedIndex, meta)                                 -> one variant's questions, in print order
+ *   ExamCore.renderExamHTML({ bank, meta, seedIndex, showSolutions })            -> { html, variants, errors }
+ *   ExamCore.toE3Exam({ variants, meta, seedIndex, code })                       -> exam_data.json for e3/template.html
+ *   ExamCore.renderTakeHTML({ bank, meta, seedIndex, practice })                 -> { html, variants, errors }, taken on screen
+ *   ExamCore.manifestVariant(bank, meta, seedIndex)                              -> one variant's answer keys, as in manifest.json
+ *   ExamCore.buildBatch({ bank, meta, seedIndices, solutions, take })            -> { files: [{ name, data }], errors }
+ *   ExamCore.validateBank(bank)                                                  -> one sweep report per problem
+ */
+(function (root) {
+  "use strict";
+
+  // The e3/ scripts index.html loads before this one, or their CommonJS exports under Node and bundlers. Each
+  // require names its file literally so a bundler (the React prototype's import) can resolve it.
+  const TexMath = root.TexMath || require("./e3/texmath.js");
+  const ExamPrint = root.ExamPrint || require("./e3/examprint.js");
+  const VariantCode = root.VariantCode || require("./e3/variantcode.js");
+  const QRCode = root.QRCode || require("./e3/qrcode.js");
+
+  function mulberry32(a) {
+    return function () {
+      let t = (a += 0x6d2b79f5);
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const GREEK = [
+    "α", "β", "γ", "δ", "ε", "ζ", "η", "θ", "ι", "κ", "λ", "μ", "ν", "ξ", "ο", "π", "ρ", "σ", "τ", "υ", "φ", "χ", "ψ", "ω",
+  ];
+
+  function pickParam(rand, min, max, step = 1) {
+    const nSteps = Math.floor((max - min) / step) + 1;
+    const k = Math.floor(rand() * nSteps);
+    return min + k * step;
+  }
+
+  function toSuperscript(n) {
+    const map = Object.fromEntries(Object.entries(SUPERSCRIPTS).map(([k, v]) => [v, k]));
+    return [...String(n)].map((c) => map[c] || c).join("");
+  }
+
+  // Fixed-point text with n significant figures, keeping trailing zeros ("2.0", "0.0500").
+  function formatSig(x, n) {
+    if (x === 0) return (0).toFixed(Math.max(0, n - 1));
+    const r = roundSig(x, n);
+    const exp = Math.floor(Math.log10(Math.abs(r)));
+    return r.toFixed(Math.min(100, Math.max(0, n - 1 - exp)));
+  }
+
+  function formatSci(x, n) {
+    if (x === 0) return formatSig(0, n);
+    let exp = Math.floor(Math.log10(Math.abs(x)));
+    let mant = roundSig(x / Math.pow(10, exp), n);
+    if (Math.abs(mant) >= 10) { mant /= 10; exp += 1; }
+    return exp === 0 ? mant.toFixed(n - 1) : `${mant.toFixed(n - 1)} × 10${toSuperscript(exp)}`;
+  }
+
+  // Plain numbers drop floating-point noise (0.1 + 0.2 -> "0.3").
+  function formatValue(value, filters = []) {
+    if (typeof value !== "number") return String(value ?? "");
+    const parsed = filters.map((f) => f.split(":").map((t) => t.trim()));
+    let x = value;
+    let suffix = "";
+    let text = null;
+    // Unit conversion applies before number formatting regardless of filter order.
+    for (const [name, arg = ""] of parsed) {
+      if (name !== "unit") continue;
+      const u = parseUnit(arg);
+      if (!u) throw new Error(`Unknown unit "${arg}" in placeholder`);
+      x /= u.scale;
+      suffix = " " + arg;
+    }
+    for (const [name, arg = ""] of parsed) {
+      if (name === "sci") text = formatSci(x, Number(arg) || 3);
+      else if (name === "sig") text = formatSig(x, Number(arg) || 3);
+      else if (name === "fix") text = x.toFixed(Number(arg) || 0);
+      else if (name !== "unit") throw new Error(`Unknown placeholder format "${name}"`);
+    }
+    return (text ?? String(Number.isFinite(x) ? Number(x.toPrecision(12)) : x)) + suffix;
+  }
+
+  // {{name}} or {{name|filter:arg|...}}; filters: sci:n, sig:n, fix:n, unit:<symbol>.
+  function renderTemplate(stem, bindings) {
+    return stem.replace(/\{\{\s*(\w+)\s*((?:\|[^|}]*)*)\}\}/g, (_, name, rest) =>
+      formatValue(bindings[name], rest.split("|").slice(1).filter((f) => f.trim()))
+    );
+  }
+
+  function roundTo(x, d = 0) {
+    const p = Math.pow(10, d);
+    return Math.round(x * p) / p;
+  }
+
+  function roundSig(x, n) {
+    return x === 0 || !Number.isFinite(x) ? x : Number(x.toPrecision(n));
+  }
+
+  // Unit symbol -> SI base it measures and the factor into that base.
+  const UNITS = {
+    A: { base: "A", scale: 1 },
+    V: { base: "V", scale: 1 },
+    "Ω": { base: "Ω", scale: 1 },
+    ohm: { base: "Ω", scale: 1 },
+    F: { base: "F", scale: 1 },
+    C: { base: "C", scale: 1 },
+    s: { base: "s", scale: 1 },
+    J: { base: "J", scale: 1 },
+    eV: { base: "J", scale: 1.602176634e-19 },
+    W: { base: "W", scale: 1 },
+    H: { base: "H", scale: 1 },
+    T: { base: "T", scale: 1 },
+    Wb: { base: "Wb", scale: 1 },
+    Hz: { base: "Hz", scale: 1 },
+    N: { base: "N", scale: 1 },
+    Pa: { base: "Pa", scale: 1 },
+    m: { base: "m", scale: 1 },
+    g: { base: "kg", scale: 1e-3 },
+  };
+
+  const SI_PREFIXES = {
+    P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, c: 1e-2, m: 1e-3, "μ": 1e-6, u: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15,
+  };
+
+  const SUPERSCRIPTS = { "⁰": "0", "¹": "1", "²": "2", "³": "3", "⁴": "4", "⁵": "5", "⁶": "6", "⁷": "7", "⁸": "8", "⁹": "9", "⁻": "-", "⁺": "+" };
+
+  function normalizeQuantityText(str) {
+    return String(str)
+      .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, (s) => "^" + [...s].map((c) => SUPERSCRIPTS[c]).join(""))
+      .replace(/[−–]/g, "-")
+      .replace(/µ/g, "μ")
+      .replace(/Ω/g, "Ω");
+  }
+
+  // "kΩ" -> { dims: { "Ω": 1 }, scale: 1000 }; compound units ("Ω·m", "J/m^3") multiply out.
+  function parseUnit(text) {
+    const str = normalizeQuantityText(text).trim();
+    if (!str) return null;
+    const dims = {};
+    let scale = 1;
+    const parts = str.split(/\s*(?=[\/·*])/);
+    for (const part of parts) {
+      const m = part.match(/^([\/·*]?)\s*([A-Za-zΩμ]+)(?:\^([+-]?\d+))?$/);
+      if (!m) return null;
+      let unit = UNITS[m[2]];
+      let factor = 1;
+      if (!unit && m[2].length > 1 && SI_PREFIXES[m[2][0]] && UNITS[m[2].slice(1)]) {
+        unit = UNITS[m[2].slice(1)];
+        factor = SI_PREFIXES[m[2][0]];
+      }
+      if (!unit) return null;
+      const exp = (m[3] ? parseInt(m[3], 10) : 1) * (m[1] === "/" ? -1 : 1);
+      scale *= Math.pow(unit.scale * factor, exp);
+      dims[unit.base] = (dims[unit.base] || 0) + exp;
+      if (!dims[unit.base]) delete dims[unit.base];
+    }
+    return { dims, scale };
+  }
+
+  function sameDims(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const k of keys) if ((a[k] || 0) !== (b[k] || 0)) return false;
+    return true;
+  }
+
+  // "50 ms", "2.0 kΩ", "3×10⁻⁶ C", "1.2e3 V" -> { value, unit } with value in the unit as written.
+  function parseQuantity(text) {
+    const str = normalizeQuantityText(text);
+    const unitTok = "[A-Za-zΩμ]+(?:\\^[+-]?\\d+)?";
+    const m = str.match(new RegExp(
+      `(-?\\d+(?:\\.\\d+)?|-?\\.\\d+)(?:\\s*[eE]([+-]?\\d+)|\\s*[×x*·]\\s*10\\^([+-]?\\d+))?\\s*(${unitTok}(?:\\s*[/·*]\\s*${unitTok})*)?`
+    ));
+    if (!m) return { value: NaN, unit: null };
+    const exp = m[2] ?? m[3];
+    const value = parseFloat(exp !== undefined ? `${m[1]}e${exp}` : m[1]);
+    return { value, unit: m[4] ? parseUnit(m[4]) : null };
+  }
+
+  function numericFromOption(opt) {
+    return parseQuantity(opt).value;
+  }
+
+  function numbersMatch(a, b, rule) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+    if (rule.tolerance !== undefined) {
+      return Math.abs(a - b) <= rule.tolerance * Math.max(Math.abs(a), Math.abs(b));
+    }
+    if (rule.sigFigs !== undefined) return roundSig(a, rule.sigFigs) === roundSig(b, rule.sigFigs);
+    const r = rule.rounding ?? 2;
+    return roundTo(a, r) === roundTo(b, r);
+  }
+
+  function isWhole(x, eps = 1e-9) {
+    return Math.abs(x - Math.round(x)) <= eps * Math.max(1, Math.abs(x));
+  }
+
+  // ---------- Expression engine (answerExpr, derived, constraints) ----------
+  // Expressions are parsed into a small AST and interpreted; nothing is ever handed to
+  // Function/eval, so an imported bank can only call the whitelisted functions below.
+
+  class ExprError extends Error {
+    constructor(message, pos) {
+      super(pos === undefined ? message : `${message} at position ${pos + 1}`);
+      this.name = "ExprError";
+      this.pos = pos;
+    }
+  }
+
+  const DEG = Math.PI / 180;
+
+  const EXPR_FUNCTIONS = Object.assign(Object.create(null), {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, sign: Math.sign, exp: Math.exp, pow: Math.pow, hypot: Math.hypot,
+    ln: Math.log, log: Math.log, log10: Math.log10, log2: Math.log2,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+    sind: (x) => Math.sin(x * DEG), cosd: (x) => Math.cos(x * DEG), tand: (x) => Math.tan(x * DEG),
+    asind: (x) => Math.asin(x) / DEG, acosd: (x) => Math.acos(x) / DEG, atand: (x) => Math.atan(x) / DEG,
+    atan2d: (y, x) => Math.atan2(y, x) / DEG,
+    deg: (x) => x / DEG, rad: (x) => x * DEG,
+    min: Math.min, max: Math.max, round: Math.round, floor: Math.floor, ceil: Math.ceil, trunc: Math.trunc,
+    isWhole,
+  });
+
+  // CODATA 2018 values, SI units. Parameters with the same name take precedence.
+  const EXPR_CONSTANTS = Object.assign(Object.create(null), {
+    pi: Math.PI, "π": Math.PI, PI: Math.PI, E: Math.E,
+    c: 2.99792458e8,
+    e: 1.602176634e-19,
+    k: 8.9875517923e9,
+    "ε0": 8.8541878128e-12, "ε₀": 8.8541878128e-12, eps0: 8.8541878128e-12,
+    "μ0": 1.25663706212e-6, "μ₀": 1.25663706212e-6, mu0: 1.25663706212e-6,
+    me: 9.1093837015e-31, mp: 1.67262192369e-27,
+    h: 6.62607015e-34, hbar: 1.054571817e-34,
+    kB: 1.380649e-23, NA: 6.02214076e23, G: 6.6743e-11,
+    true: true, false: false,
+  });
+
+  const EXPR_OPERATORS = ["===", "!==", "**", "==", "!=", "<=", ">=", "&&", "||", "+", "-", "*", "/", "%", "^", "(", ")", ",", "?", ":", "<", ">", "!"];
+
+  const EXPR_ALIASES = { "×": "*", "·": "*", "−": "-", "**": "^", "===": "==", "!==": "!=" };
+
+  function tokenizeExpr(src) {
+    const tokens = [];
+    const identRe = /^[A-Za-z_Ͱ-Ͽµ][A-Za-z0-9_Ͱ-Ͽµ₀-₉]*/;
+    let i = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      const rest = src.slice(i);
+      let m;
+      if ((m = rest.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/))) {
+        tokens.push({ type: "num", value: parseFloat(m[0]), pos: i });
+        i += m[0].length;
+      } else if ((m = rest.match(identRe))) {
+        let name = m[0];
+        // Math.sqrt, Math.PI, ... from older banks resolve to the whitelisted names.
+        const dotted = name === "Math" && rest.slice(name.length).match(/^\.([A-Za-z_]\w*)/);
+        if (dotted) name = dotted[1];
+        tokens.push({ type: "ident", value: name, pos: i });
+        i += dotted ? dotted[0].length + 4 : name.length;
+      } else if (ch === '"' || ch === "'") {
+        // Backslashes are literal (option text is full of TeX) except before the quote or another backslash.
+        let value = "";
+        let end = i + 1;
+        for (; end < src.length && src[end] !== ch; end++) {
+          if (src[end] === "\\" && (src[end + 1] === ch || src[end + 1] === "\\")) end++;
+          value += src[end];
+        }
+        if (end >= src.length) throw new ExprError("Unterminated string", i);
+        tokens.push({ type: "str", value, pos: i });
+        i = end + 1;
+      } else {
+        const op = EXPR_OPERATORS.find((o) => rest.startsWith(o)) || (EXPR_ALIASES[ch] ? ch : null);
+        if (!op) throw new ExprError(`Unexpected character '${ch}'`, i);
+        tokens.push({ type: "op", value: EXPR_ALIASES[op] || op, pos: i });
+        i += op.length;
+      }
+    }
+    tokens.push({ type: "end", value: "end of expression", pos: src.length });
+    return tokens;
+  }
+
+  // An expression string literal for text. Backslashes stay as written unless tokenizeExpr would read them as an
+  // escape; the quote character is the one the text lacks where possible.
+  function stringLiteral(text) {
+    const str = String(text);
+    const quote = str.includes('"') && !str.includes("'") ? "'" : '"';
+    return quote + str.replace(new RegExp(`\\\\(?=[\\\\${quote}]|$)|${quote}`, "g"), (m) => `\\${m}`) + quote;
+  }
+
+  function parseExpr(src) {
+    const tokens = tokenizeExpr(String(src ?? ""));
+    let i = 0;
+    const peek = () => tokens[i];
+    const isOp = (...ops) => peek().type === "op" && ops.includes(peek().value);
+    const expect = (op) => {
+      if (!isOp(op)) throw new ExprError(`Expected '${op}' but found '${peek().value}'`, peek().pos);
+      return tokens[i++];
+    };
+    const binaryLevel = (ops, next) => () => {
+      let left = next();
+      while (isOp(...ops)) {
+        const t = tokens[i++];
+        left = { type: "binary", op: t.value, left, right: next(), pos: t.pos };
+      }
+      return left;
+    };
+
+    function ternary() {
+      const test = or();
+      if (!isOp("?")) return test;
+      const t = tokens[i++];
+      const then = ternary();
+      expect(":");
+      return { type: "cond", test, then, otherwise: ternary(), pos: t.pos };
+    }
+    function unary() {
+      if (isOp("-", "+", "!")) {
+        const t = tokens[i++];
+        return { type: "unary", op: t.value, arg: unary(), pos: t.pos };
+      }
+      return power();
+    }
+    function power() {
+      const base = primary();
+      if (!isOp("^")) return base;
+      const t = tokens[i++];
+      return { type: "binary", op: "^", left: base, right: unary(), pos: t.pos };
+    }
+    function primary() {
+      const t = tokens[i++];
+      if (t.type === "num" || t.type === "str") return { type: "lit", value: t.value, pos: t.pos };
+      if (t.type === "ident") {
+        if (!isOp("(")) return { type: "var", name: t.value, pos: t.pos };
+        i++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(ternary());
+          while (isOp(",")) { i++; args.push(ternary()); }
+        }
+        expect(")");
+        if (!EXPR_FUNCTIONS[t.value]) throw new ExprError(`Unknown function '${t.value}'`, t.pos);
+        return { type: "call", name: t.value, args, pos: t.pos };
+      }
+      if (t.type === "op" && t.value === "(") {
+        const inner = ternary();
+        expect(")");
+        return inner;
+      }
+      throw new ExprError(`Unexpected '${t.value}'`, t.pos);
+    }
+
+    const mul = binaryLevel(["*", "/", "%"], unary);
+    const add = binaryLevel(["+", "-"], mul);
+    const cmp = binaryLevel(["<", "<=", ">", ">="], add);
+    const eq = binaryLevel(["==", "!="], cmp);
+    const and = binaryLevel(["&&"], eq);
+    const or = binaryLevel(["||"], and);
+
+    if (peek().type === "end") throw new ExprError("Empty expression", 0);
+    const ast = ternary();
+    if (peek().type !== "end") throw new ExprError(`Unexpected '${peek().value}'`, peek().pos);
+    return ast;
+  }
+
+  function evalNode(node, bindings) {
+    switch (node.type) {
+      case "lit":
+        return node.value;
+      case "var":
+        if (Object.prototype.hasOwnProperty.call(bindings, node.name)) return bindings[node.name];
+        if (node.name in EXPR_CONSTANTS) return EXPR_CONSTANTS[node.name];
+        throw new ExprError(`Unknown variable '${node.name}'`, node.pos);
+      case "call":
+        return EXPR_FUNCTIONS[node.name](...node.args.map((a) => evalNode(a, bindings)));
+      case "cond":
+        return evalNode(node.test, bindings) ? evalNode(node.then, bindings) : evalNode(node.otherwise, bindings);
+      case "unary": {
+        const v = evalNode(node.arg, bindings);
+        return node.op === "-" ? -v : node.op === "+" ? +v : !v;
+      }
+      case "binary": {
+        if (node.op === "&&") return evalNode(node.left, bindings) && evalNode(node.right, bindings);
+        if (node.op === "||") return evalNode(node.left, bindings) || evalNode(node.right, bindings);
+        const a = evalNode(node.left, bindings);
+        const b = evalNode(node.right, bindings);
+        switch (node.op) {
+          case "+": return typeof a === "string" || typeof b === "string" ? String(a) + String(b) : a + b;
+          case "-": return a - b;
+          case "*": return a * b;
+          case "/": return a / b;
+          case "%": return a % b;
+          case "^": return Math.pow(a, b);
+          case "<": return a < b;
+          case "<=": return a <= b;
+          case ">": return a > b;
+          case ">=": return a >= b;
+          case "==": return a === b;
+          case "!=": return a !== b;
+        }
+      }
+    }
+    throw new ExprError(`Unsupported expression node '${node.type}'`, node.pos);
+  }
+
+  const exprCache = new Map();
+
+  function compileExpr(expr) {
+    const key = String(expr ?? "");
+    if (!exprCache.has(key)) exprCache.set(key, parseExpr(key));
+    return exprCache.get(key);
+  }
+
+  function evalExpr(expr, bindings) {
+    return evalNode(compileExpr(expr), bindings || {});
+  }
+
+  function chooseCorrectIndex(problem, bindings) {
+    const answer = evalExpr(problem.answerExpr, bindings);
+
+    if (problem.selectRule?.match === "numeric") {
+      const rule = problem.selectRule;
+      const answerUnit = problem.answerUnit ? parseUnit(problem.answerUnit) : null;
+      const value = Number(answer);
+      const matches = [];
+      for (let i = 0; i < problem.options.length; i++) {
+        const q = parseQuantity(problem.options[i]);
+        if (!Number.isFinite(q.value)) continue;
+        // Compare in the option's own unit so rounding/sig-fig rules apply to the printed number.
+        let target = value;
+        if (answerUnit && q.unit) {
+          if (!sameDims(answerUnit.dims, q.unit.dims)) continue;
+          target = (value * answerUnit.scale) / q.unit.scale;
+        }
+        if (numbersMatch(target, q.value, rule)) matches.push(i);
+      }
+      return { index: matches.length ? matches[0] : -1, matches, numericAnswer: value, answerUnit: problem.answerUnit };
+    }
+    const matches = [];
+    problem.options.forEach((o, i) => { if (String(o).trim() === String(answer).trim()) matches.push(i); });
+    return { index: matches.length ? matches[0] : -1, matches, numericAnswer: undefined };
+  }
+
+  const MAX_RESAMPLES = 500;
+
+  // Adds problem.derived ([{ name, expr }], evaluated in order) to the drawn params.
+  function deriveBindings(problem, draws) {
+    const out = { ...draws };
+    for (const d of problem.derived || []) out[d.name] = evalExpr(d.expr, out);
+    return out;
+  }
+
+  function satisfiesConstraints(problem, bindings) {
+    return (problem.constraints || []).every((c) => !!evalExpr(c, bindings));
+  }
+
+  // Redraws from the same seeded stream until problem.constraints hold, so results stay deterministic.
+  function generateBindings(problem, seed) {
+    const rand = mulberry32(seed);
+    for (let attempt = 0; attempt < MAX_RESAMPLES; attempt++) {
+      const draws = {};
+      for (const p of problem.params || []) draws[p.name] = pickParam(rand, p.min, p.max, p.step);
+      const out = deriveBindings(problem, draws);
+      if (satisfiesConstraints(problem, out)) return out;
+    }
+    throw new Error(`No parameter draw for ${problem.id} satisfies its constraints after ${MAX_RESAMPLES} tries`);
+  }
+
+  // problem.type selects how a problem is answered (default "mc"):
+  //   numeric    free response; answerExpr/answerUnit give the value, selectRule { tolerance | sigFigs } the grading rule
+  //   multi      select all that apply; correctIf[i] is an expression that is truthy when options[i] is correct
+  //   tf         true/false; answerExpr evaluates to a boolean
+  //   multipart  parts: [{ label?, type, stem, options, answerExpr, ... }] sharing the parent's params, derived and constraints
+  // numeric and multipart problems (and parts) reserve answerLines lines of answer space in print.
+  const PROBLEM_TYPES = ["mc", "numeric", "multi", "tf", "multipart"];
+
+  const TF_OPTIONS = ["True", "False"];
+
+  const DEFAULT_ANSWER_LINES = 4;
+
+  function problemType(problem) {
+    return PROBLEM_TYPES.includes(problem.type) ? problem.type : "mc";
+  }
+
+  function problemOptions(problem) {
+    const type = problemType(problem);
+    if (type === "tf") return TF_OPTIONS;
+    return type === "mc" || type === "multi" ? problem.options || [] : [];
+  }
+
+  function partLabel(part, k) {
+    return part.label || optionLetter(k);
+  }
+
+  // Correct answer(s) of a problem under the given bindings. matches are indices into
+  // problemOptions (every correct option for multi); parts holds one solution per part.
+  function solveProblem(problem, bindings) {
+    const type = problemType(problem);
+    switch (type) {
+      case "numeric": {
+        const value = Number(evalExpr(problem.answerExpr, bindings));
+        if (!Number.isFinite(value)) throw new Error(`answerExpr of ${problem.id} is not a finite number`);
+        return { type, index: -1, matches: [], numericAnswer: value, answerUnit: problem.answerUnit };
+      }
+      case "multi": {
+        const conds = problem.correctIf || [];
+        const matches = problemOptions(problem).map((_, i) => i).filter((i) => conds[i] !== undefined && !!evalExpr(conds[i], bindings));
+        return { type, index: matches.length ? matches[0] : -1, matches, numericAnswer: undefined };
+      }
+      case "tf": {
+        const index = evalExpr(problem.answerExpr, bindings) ? 0 : 1;
+        return { type, index, matches: [index], numericAnswer: undefined };
+      }
+      case "multipart":
+        return {
+          type,
+          index: -1,
+          matches: [],
+          numericAnswer: undefined,
+          parts: (problem.parts || []).map((part, k) => {
+            const label = partLabel(part, k);
+            if (problemType(part) === "multipart") throw new Error(`Part (${label}) of ${problem.id} cannot itself be multipart`);
+            return { ...solveProblem({ id: `${problem.id}(${label})`, ...part }, bindings), p: part, label };
+          }),
+        };
+      default:
+        return { type, ...chooseCorrectIndex(problem, bindings) };
+    }
+  }
+
+  const WORKED_STEP_SIG_FIGS = 4;
+
+  // problem.solution = { steps: [{ name, expr, unit?, format? }], text? } is a worked solution. Steps are evaluated
+  // in order on top of the variant's bindings, so later steps and the text template can use earlier step names.
+  // format takes placeholder filters ("sig:3|unit:ms"); by default results show WORKED_STEP_SIG_FIGS figures.
+  function workedSolution(problem, bindings) {
+    const sol = problem.solution;
+    if (!sol || (!sol.steps?.length && !sol.text)) return null;
+    const b = { ...bindings };
+    const steps = (sol.steps || []).map((s) => {
+      const substituted = substituteExpr(s.expr, b);
+      const value = evalExpr(s.expr, b);
+      b[s.name] = value;
+      return { name: s.name, expr: s.expr, unit: s.unit || "", format: s.format || "", substituted, value };
+    });
+    return { steps, text: renderTemplate(sol.text || "", b) };
+  }
+
+  // Bound names in an expression replaced by their values: "V / R" -> "12 / 4".
+  function substituteExpr(expr, bindings) {
+    return String(expr).replace(/("[^"]*"|'[^']*')|\b([A-Za-z_]\w*)\b(?!\s*\()/g, (m, str, name) => {
+      if (str || !Object.hasOwn(bindings, name) || typeof bindings[name] !== "number") return m;
+      const text = formatValue(bindings[name]);
+      return bindings[name] < 0 ? `(${text})` : text;
+    });
+  }
+
+  // "tau = (R*1e3) * (C*1e-6) = (10*1e3) * (4*1e-6) = 0.04 s"
+  function workedStepText(step) {
+    const number = step.format ? formatValue(step.value, step.format.split("|")) : formatValue(roundSig(step.value, WORKED_STEP_SIG_FIGS));
+    const chain = [step.expr, step.substituted].filter((x, i, all) => all.indexOf(x) === i && x !== number);
+    return [step.name, ...chain, `${number}${step.unit && !/(^|\|)\s*unit:/.test(step.format) ? ` ${step.unit}` : ""}`].join(" = ");
+  }
+
+  // ---------- Parameterized figures ----------
+  // An image entry may hold SVG markup ({ svg, alt, widthPct, align }) or a drawing spec
+  // ({ figure: { width, height, items }, alt, widthPct, align }) instead of a src. Both are drawn per variant:
+  // {{placeholders}} in the markup and in item labels take the variant's values, and any coordinate or length in
+  // a spec may be an expression over the bindings ("20 + 8*d"). Each variant gets a data: URL src, so every view
+  // and export treats a figure like any other image.
+  //
+  // Spec items (points are [x, y] in SVG units, y down):
+  //   { type: "wire", points: [[x, y], ...] }                   { type: "line", from, to, dashed? }
+  //   { type: "resistor" | "capacitor" | "battery", from, to, label? }   (battery: from is the − terminal)
+  //   { type: "arrow", from, to } or { type: "arrow", from, length, angle }  (angle in degrees, 0 = right, 90 = up)
+  //   { type: "plate", from, to, label? }                       { type: "charge", at, sign: "+" | "-", r?, label? }
+  //   { type: "dot", at, r? }                                   { type: "text", at, text, anchor? }
+  const FIGURE_STROKE = 2;
+
+  const FIGURE_FONT_SIZE = 12;
+
+  const FIGURE_LABEL_OFFSET = 14;
+
+  const FIGURE_BODY_LENGTH = 40;
+
+  const FIGURE_ITEMS = ["wire", "line", "resistor", "capacitor", "battery", "arrow", "plate", "charge", "dot", "text"];
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function isFigure(img) {
+    return !!img && (typeof img.svg === "string" || !!img.figure);
+  }
+
+  function figureNumber(value, bindings, what) {
+    const x = typeof value === "number" ? value : Number(evalExpr(String(value ?? ""), bindings));
+    if (!Number.isFinite(x)) throw new Error(`Figure ${what} "${value}" is not a number`);
+    return x;
+  }
+
+  function figurePoint(point, bindings, what) {
+    if (!Array.isArray(point) || point.length !== 2) throw new Error(`Figure ${what} should be [x, y]`);
+    return point.map((c) => figureNumber(c, bindings, what));
+  }
+
+  function svgNum(x) {
+    return String(roundTo(x, 2));
+  }
+
+  // Placeholders in SVG text: the values are escaped so a string parameter can't break the markup.
+  function renderSvgTemplate(text, bindings) {
+    return String(text ?? "").replace(/\{\{[^}]*\}\}/g, (m) => xmlEscape(renderTemplate(m, bindings)));
+  }
+
+  // A label beside the segment from a to b, on its left as drawn (above a left-to-right segment).
+  function figureLabel(label, [x1, y1], [x2, y2], bindings) {
+    if (!label) return "";
+    const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const nx = (y2 - y1) / len;
+    const ny = -(x2 - x1) / len;
+    const anchor = nx < -0.5 ? "end" : nx > 0.5 ? "start" : "middle";
+    const x = (x1 + x2) / 2 + nx * FIGURE_LABEL_OFFSET;
+    const y = (y1 + y2) / 2 + ny * FIGURE_LABEL_OFFSET;
+    return `<text x="${svgNum(x)}" y="${svgNum(y)}" text-anchor="${anchor}" dominant-baseline="central" fill="#000" stroke="none">${renderSvgTemplate(label, bindings)}</text>`;
+  }
+
+  // A component drawn along the x axis from 0 to its length, then rotated onto from -> to; leads fill the rest.
+  function twoTerminal([x1, y1], [x2, y2], body) {
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    const bodyLen = Math.min(FIGURE_BODY_LENGTH, len);
+    const a = (len - bodyLen) / 2;
+    const angle = (Math.atan2(y2 - y1, x2 - x1) * 180) / Math.PI;
+    const leads = `<path d="M0 0H${svgNum(a)}M${svgNum(a + bodyLen)} 0H${svgNum(len)}"/>`;
+    return `<g transform="translate(${svgNum(x1)} ${svgNum(y1)}) rotate(${svgNum(angle)})">${leads}${body(a, bodyLen)}</g>`;
+  }
+
+  const FIGURE_BODIES = {
+    resistor: (a, w) => {
+      const pts = [0, 1, -1, 1, -1, 1, -1, 0].map((s, i) => `${svgNum(a + (w * i) / 7)} ${s * 6}`);
+      return `<path d="M${pts.join("L")}" stroke-linejoin="round"/>`;
+    },
+    capacitor: (a, w) => `<path d="M${svgNum(a + w / 2 - 4)} -12V12M${svgNum(a + w / 2 + 4)} -12V12"/><path d="M${svgNum(a)} 0H${svgNum(a + w / 2 - 4)}M${svgNum(a + w / 2 + 4)} 0H${svgNum(a + w)}"/>`,
+    battery: (a, w) => `<path d="M${svgNum(a + w / 2 - 4)} -6V6" stroke-width="${FIGURE_STROKE * 2}"/><path d="M${svgNum(a + w / 2 + 4)} -12V12"/><path d="M${svgNum(a)} 0H${svgNum(a + w / 2 - 4)}M${svgNum(a + w / 2 + 4)} 0H${svgNum(a + w)}"/>`,
+  };
+
+  function figureItemSVG(item, b) {
+    const what = item.type || "item";
+    const pt = (key) => figurePoint(item[key], b, `${what} ${key}`);
+    const num = (key, fallback) => (item[key] == null ? fallback : figureNumber(item[key], b, `${what} ${key}`));
+    switch (item.type) {
+      case "wire": {
+        const pts = (item.points || []).map((p) => figurePoint(p, b, "wire point"));
+        return pts.length < 2 ? "" : `<path d="M${pts.map(([x, y]) => `${svgNum(x)} ${svgNum(y)}`).join("L")}" stroke-linejoin="round"/>`;
+      }
+      case "line": {
+        const [from, to] = [pt("from"), pt("to")];
+        return `<line x1="${svgNum(from[0])}" y1="${svgNum(from[1])}" x2="${svgNum(to[0])}" y2="${svgNum(to[1])}"${item.dashed ? ' stroke-dasharray="4 3" stroke-width="1"' : ""}/>` + figureLabel(item.label, from, to, b);
+      }
+      case "resistor":
+      case "capacitor":
+      case "battery": {
+        const [from, to] = [pt("from"), pt("to")];
+        return twoTerminal(from, to, FIGURE_BODIES[item.type]) + figureLabel(item.label, from, to, b);
+      }
+      case "arrow": {
+        const from = pt("from");
+        let to;
+        if (item.to != null) to = pt("to");
+        else {
+          const len = num("length", 0);
+          const angle = (num("angle", 0) * Math.PI) / 180;
+          to = [from[0] + len * Math.cos(angle), from[1] - len * Math.sin(angle)];
+        }
+        return `<line x1="${svgNum(from[0])}" y1="${svgNum(from[1])}" x2="${svgNum(to[0])}" y2="${svgNum(to[1])}" marker-end="url(#arrowhead)"/>` + figureLabel(item.label, from, to, b);
+      }
+      case "plate": {
+        const [from, to] = [pt("from"), pt("to")];
+        return `<line x1="${svgNum(from[0])}" y1="${svgNum(from[1])}" x2="${svgNum(to[0])}" y2="${svgNum(to[1])}" stroke-width="${FIGURE_STROKE * 2}"/>` + figureLabel(item.label, from, to, b);
+      }
+      case "charge": {
+        const [x, y] = pt("at");
+        const r = num("r", 10);
+        const sign = item.sign === "-" ? "−" : "+";
+        const label = item.label ? `<text x="${svgNum(x + r + 4)}" y="${svgNum(y)}" dominant-baseline="central" fill="#000" stroke="none">${renderSvgTemplate(item.label, b)}</text>` : "";
+        return `<circle cx="${svgNum(x)}" cy="${svgNum(y)}" r="${svgNum(r)}"/><text x="${svgNum(x)}" y="${svgNum(y)}" text-anchor="middle" dominant-baseline="central" fill="#000" stroke="none">${sign}</text>` + label;
+      }
+      case "dot": {
+        const [x, y] = pt("at");
+        return `<circle cx="${svgNum(x)}" cy="${svgNum(y)}" r="${svgNum(num("r", 3))}" fill="#000"/>`;
+      }
+      case "text": {
+        const [x, y] = pt("at");
+        return `<text x="${svgNum(x)}" y="${svgNum(y)}" text-anchor="${item.anchor || "start"}" dominant-baseline="central" fill="#000" stroke="none">${renderSvgTemplate(item.text, b)}</text>`;
+      }
+      default:
+        throw new Error(`Unknown figure item "${item.type}" (use ${FIGURE_ITEMS.join(", ")})`);
+    }
+  }
+
+  function drawFigure(spec, bindings) {
+    const w = figureNumber(spec.width ?? 200, bindings, "width");
+    const h = figureNumber(spec.height ?? 120, bindings, "height");
+    const defs = `<defs><marker id="arrowhead" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0 0L10 5L0 10z" fill="#000" stroke="none"/></marker></defs>`;
+    const body = (spec.items || []).map((item) => figureItemSVG(item, bindings)).join("");
+    return `<svg xmlns="${SVG_NS}" width="${svgNum(w)}" height="${svgNum(h)}" viewBox="0 0 ${svgNum(w)} ${svgNum(h)}" font-family="sans-serif" font-size="${FIGURE_FONT_SIZE}" fill="none" stroke="#000" stroke-width="${FIGURE_STROKE}" stroke-linecap="round">${defs}${body}</svg>`;
+  }
+
+  function figureSVG(img, bindings) {
+    if (img.figure) return drawFigure(img.figure, bindings);
+    const svg = renderSvgTemplate(img.svg, bindings).trim();
+    if (!/^<svg[\s>]/.test(svg.replace(/^<\?xml[^>]*\?>\s*/, ""))) throw new Error("Figure markup should be an <svg> element");
+    // A data: URL image needs the namespace even where inline markup would not.
+    return /\sxmlns=/.test(svg) ? svg : svg.replace(/<svg/, `<svg xmlns="${SVG_NS}"`);
+  }
+
+  function figureDataUrl(svg) {
+    return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+  }
+
+  // The problem's images for one set of bindings: figures get a src drawn with those values.
+  function variantImages(problem, bindings) {
+    return (problem.images || []).map((img) => (isFigure(img) ? { ...img, src: figureDataUrl(figureSVG(img, bindings)) } : img));
+  }
+
+  // Errors are returned rather than thrown so one bad expression doesn't blank the whole preview.
+  function buildProblemVariant(problem, seed) {
+    try {
+      const b = generateBindings(problem, seed);
+      const sol = solveProblem(problem, b);
+      const parts = (sol.parts || []).map((s) => ({ ...s, stem: renderTemplate(s.p.stem || "", b) }));
+      return { p: problem, b, stem: renderTemplate(problem.stem || "", b), ...sol, parts, worked: workedSolution(problem, b), images: variantImages(problem, b), error: null };
+    } catch (e) {
+      return { p: problem, b: {}, stem: problem.stem, type: problemType(problem), index: -1, matches: [], parts: [], numericAnswer: undefined, worked: null, images: (problem.images || []).map((img) => (isFigure(img) ? { ...img, src: "" } : img)), error: e.message };
+    }
+  }
+
+  const VARIANT_BASE_SEED = 12345;
+
+  function shuffleInPlace(arr, rand) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  // Display order of option indices. Indices in problem.pinnedOptions (e.g. "None of the
+  // above") keep their authored position; problem.shuffleOptions overrides the exam setting.
+  function optionOrder(problem, seed, shuffle) {
+    const order = problemOptions(problem).map((_, i) => i);
+    if (problemType(problem) === "tf" || !(problem.shuffleOptions ?? shuffle)) return order;
+    const pinned = new Set(problem.pinnedOptions || []);
+    const free = shuffleInPlace(order.filter((i) => !pinned.has(i)), mulberry32((seed ^ 0x85ebca6b) >>> 0));
+    let k = 0;
+    return order.map((i) => (pinned.has(i) ? i : free[k++]));
+  }
+
+  // Display order of bank indices; problems with fixedPosition stay in their bank slot.
+  function questionOrder(bank, variantSeed, shuffle) {
+    const order = bank.map((_, i) => i);
+    if (!shuffle) return order;
+    const free = shuffleInPlace(order.filter((i) => !bank[i].fixedPosition), mulberry32((variantSeed ^ 0x9e3779b9) >>> 0));
+    let k = 0;
+    return order.map((i) => (bank[i].fixedPosition ? i : free[k++]));
+  }
+
+  // ---------- Blueprint-driven selection ----------
+  // Problems carry topic, difficulty (number), section, objective and free-form tags. meta.blueprint picks
+  // each variant's problems: { rules: [{ count, section?, topic?, objective?, tag?, minDifficulty?, maxDifficulty? }],
+  // targetDifficulty?, difficultyTolerance?, noAdjacentRepeat? }. Without rules every bank problem is used.
+  const BLUEPRINT_ATTEMPTS = 200;
+
+  const DEFAULT_DIFFICULTY_TOLERANCE = 1;
+
+  const selectionCache = new Map();
+
+  function problemDifficulty(problem) {
+    return Number(problem.difficulty) || 0;
+  }
+
+  function matchesRule(problem, rule) {
+    if (rule.section && problemSection(problem) !== rule.section) return false;
+    if (rule.topic && problem.topic !== rule.topic) return false;
+    if (rule.objective && problem.objective !== rule.objective) return false;
+    if (rule.tag && !(problem.tags || []).includes(rule.tag)) return false;
+    const d = problemDifficulty(problem);
+    if (rule.minDifficulty != null && rule.minDifficulty !== "" && d < Number(rule.minDifficulty)) return false;
+    if (rule.maxDifficulty != null && rule.maxDifficulty !== "" && d > Number(rule.maxDifficulty)) return false;
+    return true;
+  }
+
+  // One draw: rules are filled in order, preferring problems not in avoid (the previous variant's set).
+  function drawSelection(bank, rules, rand, avoid) {
+    const taken = new Set();
+    const warnings = [];
+    rules.forEach((rule, r) => {
+      const count = Math.max(0, Math.floor(Number(rule.count) || 0));
+      const pool = bank.map((_, i) => i).filter((i) => !taken.has(i) && matchesRule(bank[i], rule));
+      const fresh = shuffleInPlace(pool.filter((i) => !avoid.has(i)), rand);
+      const repeats = shuffleInPlace(pool.filter((i) => avoid.has(i)), rand);
+      const picked = [...fresh, ...repeats].slice(0, count);
+      if (picked.length < count) warnings.push(`Rule ${r + 1} asks for ${count} but only ${pool.length} problem${pool.length === 1 ? "" : "s"} match`);
+      else if (fresh.length < count) warnings.push(`Rule ${r + 1} repeats problems from the previous variant (only ${fresh.length} fresh)`);
+      picked.forEach((i) => taken.add(i));
+    });
+    const difficulty = [...taken].reduce((n, i) => n + problemDifficulty(bank[i]), 0);
+    return { indices: taken, warnings, difficulty };
+  }
+
+  function selectOne(bank, blueprint, seedIndex, avoid) {
+    const rand = mulberry32(((VARIANT_BASE_SEED + seedIndex) ^ 0xc2b2ae35) >>> 0);
+    const target = blueprint.targetDifficulty;
+    const hasTarget = target != null && target !== "";
+    const tolerance = blueprint.difficultyTolerance ?? DEFAULT_DIFFICULTY_TOLERANCE;
+    let best = null;
+    for (let attempt = 0; attempt < (hasTarget ? BLUEPRINT_ATTEMPTS : 1); attempt++) {
+      const draw = drawSelection(bank, blueprint.rules, rand, avoid);
+      const off = hasTarget ? Math.abs(draw.difficulty - Number(target)) : 0;
+      if (!best || off < best.off) best = { ...draw, off };
+      if (off <= tolerance) break;
+    }
+    if (hasTarget && best.off > tolerance) {
+      best.warnings.push(`Total difficulty ${best.difficulty} misses the target ${target} by more than ${tolerance}`);
+    }
+    return best;
+  }
+
+  // Bank indices (and any warnings) for one variant. With noAdjacentRepeat each variant avoids the
+  // previous one's problems, so selections are chained from variant 0 (and cached).
+  function selectProblems(bank, blueprint, seedIndex) {
+    if (!blueprint?.rules?.length) return { indices: new Set(bank.map((_, i) => i)), warnings: [], difficulty: bank.reduce((n, p) => n + problemDifficulty(p), 0) };
+    const key = JSON.stringify([blueprint, bank.map((p) => [p.id, problemSection(p), p.topic, p.objective, p.tags, p.difficulty])]);
+    if (!selectionCache.has(key)) {
+      if (selectionCache.size > 20) selectionCache.clear();
+      selectionCache.set(key, { chain: [], single: new Map() });
+    }
+    const { chain, single } = selectionCache.get(key);
+    if (!blueprint.noAdjacentRepeat) {
+      if (!single.has(seedIndex)) single.set(seedIndex, selectOne(bank, blueprint, seedIndex, new Set()));
+      return single.get(seedIndex);
+    }
+    for (let k = chain.length; k <= seedIndex; k++) chain.push(selectOne(bank, blueprint, k, k ? chain[k - 1].indices : new Set()));
+    return chain[seedIndex];
+  }
+
+  const SECTIONS = ["mc", "calc"];
+
+  // Written-answer types default to the calc section.
+  function problemSection(problem) {
+    if (problem.section) return problem.section === "calc" ? "calc" : "mc";
+    return ["numeric", "multipart"].includes(problemType(problem)) ? "calc" : "mc";
+  }
+
+  function displaySlots(order, matches) {
+    return (matches || []).map((i) => order.indexOf(i)).sort((a, b) => a - b);
+  }
+
+  // Adds the display order to a built variant and each of its parts. order maps display slot ->
+  // option index; displayIndex / displayIndices are the slots holding the correct option(s).
+  function arrangeVariant(v, seed, shuffle) {
+    const order = optionOrder(v.p, seed, shuffle);
+    const parts = (v.parts || []).map((s, k) => {
+      const partOrder = optionOrder(s.p, (seed + k + 1) >>> 0, shuffle);
+      return { ...s, order: partOrder, displayIndex: partOrder.indexOf(s.index), displayIndices: displaySlots(partOrder, s.matches) };
+    });
+    return { ...v, order, displayIndex: order.indexOf(v.index), displayIndices: displaySlots(order, v.matches), parts };
+  }
+
+  function answerLines(problem) {
+    return problem.answerLines ?? DEFAULT_ANSWER_LINES;
+  }
+
+  function toleranceNote(rule = {}) {
+    if (rule.tolerance) return ` (±${roundSig(rule.tolerance * 100, 3)}%)`;
+    if (rule.sigFigs) return ` (${rule.sigFigs} s.f.)`;
+    return "";
+  }
+
+  // Answer-key entry for an arranged variant or part: letter is what a student marks (empty for
+  // written answers: numeric, multipart), text is what printed keys show and answer is the one
+  // machine-readable field (letter, or text for written answers).
+  function answerKey(v) {
+    const key = answerKeyParts(v);
+    return { ...key, answer: v.type === "numeric" || v.type === "multipart" ? key.text : key.letter };
+  }
+
+  // Final answer for worked solutions: key letters with their option text, or the key text.
+  function finalAnswerText(v) {
+    if (v.type === "mc") return v.displayIndex >= 0 ? `${optionLetter(v.displayIndex)}. ${v.p.options[v.index]}` : "—";
+    if (v.type === "multi") return v.displayIndices.map((d) => `${optionLetter(d)}. ${v.p.options[v.order[d]]}`).join("; ") || "none";
+    return answerKey(v).text;
+  }
+
+  function answerKeyParts(v) {
+    switch (v.type) {
+      case "numeric": {
+        const value = `${formatValue(v.numericAnswer)}${v.answerUnit ? ` ${v.answerUnit}` : ""}`;
+        return { letter: "", text: value + toleranceNote(v.p.selectRule) };
+      }
+      case "multi": {
+        const letters = v.displayIndices.map(optionLetter).join(",");
+        return { letter: letters, text: letters || "none" };
+      }
+      case "tf":
+        return { letter: v.index === 0 ? "T" : v.index === 1 ? "F" : "", text: TF_OPTIONS[v.index] || "—" };
+      case "multipart": {
+        const parts = v.parts.map((s) => ({ label: s.label, ...answerKey(s) }));
+        return { letter: "", text: parts.map((s) => `(${s.label}) ${s.text}`).join("; "), parts };
+      }
+      default: {
+        const letter = v.displayIndex >= 0 ? optionLetter(v.displayIndex) : "";
+        return { letter, text: letter || "—" };
+      }
+    }
+  }
+
+  // One exam variant in display order (MC section before calc, as in the e3 templates). Bindings are drawn in bank order first, so toggling
+  // shuffles (or changing the blueprint) never changes a problem's numbers. index is into p.options, displayIndex into order.
+  function buildVariant(bank, seedIndex, meta = {}) {
+    const variantSeed = VARIANT_BASE_SEED + seedIndex;
+    const rng = mulberry32(variantSeed);
+    const { indices } = selectProblems(bank, meta.blueprint, seedIndex);
+    const items = bank.map((p, bankIndex) => {
+      const seed = Math.floor(rng() * 1e9);
+      if (!indices.has(bankIndex)) return null;
+      const v = arrangeVariant(buildProblemVariant(p, seed), seed, !!meta.shuffleOptions);
+      return { ...v, seed, bankIndex };
+    });
+    return questionOrder(bank, variantSeed, !!meta.shuffleQuestions)
+      .filter((bankIndex) => items[bankIndex])
+      .sort((a, b) => SECTIONS.indexOf(problemSection(bank[a])) - SECTIONS.indexOf(problemSection(bank[b])))
+      .map((bankIndex, pos) => ({
+        ...items[bankIndex],
+        label: `Q${pos + 1}`,
+      }));
+  }
+
+  function optionLetter(i) {
+    return String.fromCharCode(97 + i);
+  }
+
+  function examCounts(variants) {
+    const mc = variants.filter((v) => problemSection(v.p) === "mc").length;
+    return { questions: variants.length, mc, calc: variants.length - mc };
+  }
+
+  // {{questions}}, {{mc}} and {{calc}} in the instructions follow the variant's actual problem set.
+  function fillCounts(text, counts) {
+    return String(text || "").replace(/\{\{\s*(questions|mc|calc)\s*\}\}/g, (_, k) => counts[k]);
+  }
+
+  function countPhrase(n, what) {
+    return `${n} ${what}${n === 1 ? "" : "s"}`;
+  }
+
+  function defaultIntro(counts) {
+    const parts = [counts.mc && countPhrase(counts.mc, "multiple choice question"), counts.calc && countPhrase(counts.calc, "calculation problem")].filter(Boolean);
+    return `This exam consists of ${countPhrase(counts.questions, "question")}${parts.length > 1 ? `: ${parts.join(" and ")}` : ""}.`;
+  }
+
+  const VALIDATE_MAX_COMBOS = 5000;
+
+  const VALIDATE_SAMPLE_SIZE = 2000;
+
+  const VALIDATE_MAX_EXAMPLES = 5;
+
+  // How many values a parameter takes; the k-th is min + k * step. Counted, not listed, so a wide range
+  // (0 to 1e10 in steps of 1) is only ever sampled.
+  function paramSteps(p) {
+    return Math.max(Math.floor((p.max - p.min) / (p.step || 1)) + 1, 0);
+  }
+
+  // Walks every parameter combination (or a seeded sample when the grid is huge) and
+  // reports draws with no/ambiguous matches, options never selected, and evaluation errors.
+  function validateProblem(problem, { maxCombos = VALIDATE_MAX_COMBOS, sampleSize = VALIDATE_SAMPLE_SIZE, seed = 1 } = {}) {
+    const params = problem.params || [];
+    const steps = params.map(paramSteps);
+    const total = steps.reduce((n, k) => n * k, 1);
+    const sampled = total > maxCombos;
+    const rand = mulberry32(seed);
+    const report = {
+      id: problem.id,
+      total,
+      checked: 0,
+      excluded: 0,
+      sampled,
+      noMatch: { count: 0, examples: [] },
+      ambiguous: { count: 0, examples: [] },
+      errors: { count: 0, examples: [] },
+      neverCorrect: [],
+      ok: false,
+    };
+    const record = (bucket, example) => {
+      bucket.count++;
+      if (bucket.examples.length < VALIDATE_MAX_EXAMPLES) bucket.examples.push(example);
+    };
+    const hits = new Array(problemOptions(problem).length).fill(0);
+    const n = sampled ? sampleSize : total;
+    for (let c = 0; c < n; c++) {
+      const bindings = {};
+      let rest = c;
+      steps.forEach((m, j) => {
+        const k = sampled ? Math.floor(rand() * m) : rest % m;
+        rest = Math.floor(rest / m);
+        bindings[params[j].name] = params[j].min + k * (params[j].step || 1);
+      });
+      report.checked++;
+      try {
+        const full = deriveBindings(problem, bindings);
+        if (!satisfiesConstraints(problem, full)) {
+          report.excluded++;
+          continue;
+        }
+        const sol = solveProblem(problem, full);
+        workedSolution(problem, full);
+        variantImages(problem, full);
+        for (const s of sol.parts || [sol]) {
+          if (s.type === "numeric") continue;
+          const part = sol.parts ? s.label : undefined;
+          if (!s.matches.length) record(report.noMatch, { bindings: full, part });
+          else if (s.matches.length > 1 && s.type !== "multi") record(report.ambiguous, { bindings: full, matches: s.matches, part });
+        }
+        sol.matches.forEach((i) => hits[i]++);
+      } catch (e) {
+        record(report.errors, { bindings, message: e.message });
+      }
+    }
+    if (!total) {
+      const empty = params.find((p, j) => !steps[j]);
+      record(report.errors, { bindings: {}, message: `Parameter ${empty.name} has no values (min ${empty.min} > max ${empty.max}?)` });
+    }
+    if (report.checked && report.excluded === report.checked) {
+      record(report.errors, { bindings: {}, message: "No parameter combination satisfies the constraints" });
+    }
+    // (a multi-select distractor is never correct by design)
+    report.neverCorrect = problemType(problem) === "multi" ? [] : hits.map((h, i) => (h ? -1 : i)).filter((i) => i >= 0);
+    report.ok = !report.noMatch.count && !report.ambiguous.count && !report.errors.count;
+    return report;
+  }
+
+  function validateBank(bank, opts) {
+    return bank.map((p) => validateProblem(p, opts));
+  }
+
+  function formatBindings(b) {
+    return Object.entries(b).map(([k, v]) => `${k}=${v}`).join(", ");
+  }
+
+  // ---------- Standalone HTML export (equation sheets, question bodies, the printed exam) ----------
+
+  function xmlEscape(value) {
+    return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  const EQUATION_SHEET_CSS = `
+  .equation-sheet .eq-columns { display: grid; grid-template-columns: 1fr 1fr; gap: 0 0.35in; align-items: start; }
+  .equation-section { margin: 0.4rem 0 0.6rem 0; }
+  .equation-title { margin: 0.1rem 0 0.3rem 0; font-weight: 700; font-size: 12pt; }
+  .equation-group { margin: 0 0 0.5rem 0; break-inside: avoid; page-break-inside: avoid; }
+  .equation-subtitle { font-weight: 700; margin: 0 0 0.2rem 0; }
+  .equation { margin: 0.14rem 0; }
+  .var-defs { margin-top: 0.25rem; font-size: 10.5pt; line-height: 1.35; break-inside: avoid; page-break-inside: avoid; }
+  .var-defs ul { margin: 0; padding-left: 1.1rem; }`;
+
+  function sheetSectionHTML(section) {
+    const html = (text) => TexMath.renderText(String(text ?? ""), { html: true });
+    const groups = (section.groups || [])
+      .map((g) => `<div class="equation-group">${g.subtitle ? `<div class="equation-subtitle">${html(g.subtitle)}</div>` : ""}${(g.lines || []).filter((l) => String(l).trim()).map((l) => `<div class="equation">${html(l)}</div>`).join("")}</div>`)
+      .join("");
+    const defs = (section.var_defs || []).length
+      ? `<div class="var-defs"><div class="equation-title">Variable definitions</div><ul class="var-list">${section.var_defs.map((d) => `<li><strong>${html(d.label)}: </strong>${html(d.text)}</li>`).join("")}</ul></div>`
+      : "";
+    return `<div class="equation-section">${section.title ? `<div class="equation-title">${html(section.title)}</div>` : ""}${groups}${defs}</div>`;
+  }
+
+  // Two-column text rendering shared by the preview and the exported exam.
+  function equationSheetHTML(sheet) {
+    const column = (sections = []) => `<div class="eq-column">${sections.map(sheetSectionHTML).join("")}</div>`;
+    const title = sheet.title ? `<h3 class="inst-heading">${xmlEscape(sheet.title)}</h3>` : "";
+    return `<section class="equation-sheet">${title}<div class="eq-columns">${column(sheet.left_equation_sections)}${column(sheet.right_equation_sections)}</div></section>`;
+  }
+
+  function workedSolutionHTML(v) {
+    const w = v.worked;
+    const topic = v.p.topic ? `<div class="ws-topic">Topic: ${xmlEscape(v.p.topic)}</div>` : "";
+    const text = w?.text ? `<p>${TexMath.renderText(w.text, { html: true })}</p>` : "";
+    const steps = w?.steps.length ? `<ol class="ws-steps">${w.steps.map((s) => `<li>${xmlEscape(workedStepText(s))}</li>`).join("")}</ol>` : "";
+    return `<div class="worked-solution">${topic}${text}${steps}<div class="ws-answer">Answer: ${TexMath.renderText(finalAnswerText(v), { html: true })}</div></div>`;
+  }
+
+  // Worked solution as the HTML explanation text solutions_template.html renders.
+  function workedExplanation(v) {
+    return [v.worked?.text, ...(v.worked?.steps || []).map((s) => xmlEscape(workedStepText(s)))].filter(Boolean).join("<br>");
+  }
+
+  function questionBodyHTML(v, showSolutions) {
+    const correct = (i) => showSolutions && (v.type === "multi" ? v.displayIndices.includes(i) : i === v.displayIndex);
+    switch (v.type) {
+      case "numeric":
+        return `<div class="answer-space" style="min-height:${answerLines(v.p) * 1.6}em"><div>Answer: ${showSolutions ? `<span class="answer-value">${answerKey(v).text}</span>` : "____________________"}</div></div>`;
+      case "tf":
+        return `<div class="options tf-options">${TF_OPTIONS.map((t, i) => `<span class="${correct(i) ? "solutions-correct" : ""}">${t}</span>`).join("")}</div>`;
+      case "multipart":
+        return v.parts
+          .map((s) => `<div class="part"><div class="stem"><strong>(${s.label})</strong> ${TexMath.renderText(s.stem, { html: true })}</div>${questionBodyHTML(s, showSolutions)}</div>`)
+          .join("");
+      default: {
+        const opts = v.order
+          .map((oi, i) => `<div class="${correct(i) ? "option solutions-correct" : "option"}">${optionLetter(i)}. ${TexMath.renderText(v.p.options[oi], { html: true })}</div>`)
+          .join("");
+        return `<div class="options">${v.type === "multi" ? `<div class="select-all">Select all that apply.</div>` : ""}${opts}</div>`;
+      }
+    }
+  }
+
+  // The exam stylesheet comes from e3/examprint.js, the same one e3/template.html uses; pageCss adds the
+  // running header and footer.
+  function buildStandaloneHTML({ title, bodyHTML, showSolutions, pageCss = "" }) {
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"/>
+  <title>${title}</title>
+  <style>${ExamPrint.css}
+  ${EQUATION_SHEET_CSS}
+  ${TexMath.css}
+  ${pageCss}</style>
+  </head>
+  <body class="${showSolutions ? "solutions" : ""}">
+    ${bodyHTML}
+  </body></html>`;
+  }
+
+  // meta.print = { runningHeaders, pageBreaks: "auto" | "question" | "section", columns: 1 | 2 }.
+  const PAGE_BREAK_MODES = [
+    { value: "auto", label: "Only where needed" },
+    { value: "question", label: "Before every question" },
+    { value: "section", label: "Before each section" },
+  ];
+
+  function printOptions(meta) {
+    return { runningHeaders: true, pageBreaks: "auto", columns: 1, ...meta.print };
+  }
+
+  // Running header (course — title on the left, variant mark on the right) and "Page X of Y" footer, or
+  // null when meta.print turns them off. The same options drive the export's @page rules and the page view.
+  function runningHead(meta, seedIndex, showSolutions) {
+    if (!printOptions(meta).runningHeaders) return null;
+    const title = `${meta.examTitle}${showSolutions ? " — Solutions" : ""}`;
+    return { header: [meta.course, title].filter(Boolean).join(" — "), mark: variantMark(seedIndex), pageNumbers: true };
+  }
+
+  // Whether question i starts a new page under meta.print.pageBreaks (the first question always follows
+  // the front matter's own break).
+  function startsNewPage(variants, i, mode) {
+    if (i === 0 || mode === "auto") return false;
+    return mode === "question" || problemSection(variants[i - 1].p) !== problemSection(variants[i].p);
+  }
+
+  function variantMark(seedIndex) {
+    return GREEK[seedIndex % GREEK.length] || "α";
+  }
+
+  // The variant code printed on each exam: its seed index and a hash of the bank and settings it was built from,
+  // which grader.html checks before trusting a key. Hashing a bank with embedded images isn't free, so the last
+  // hash is kept per bank array.
+  const bankHashCache = new WeakMap();
+
+  function bankHash(bank, meta) {
+    const hit = bankHashCache.get(bank);
+    if (hit && hit.meta === meta) return hit.hash;
+    const hash = VariantCode.hash({ bank, meta });
+    bankHashCache.set(bank, { meta, hash });
+    return hash;
+  }
+
+  function variantCode(bank, meta, seedIndex) {
+    return VariantCode.make(seedIndex, bankHash(bank, meta));
+  }
+
+  function variantCodeHTML(code) {
+    return `<div class="variant-code">${QRCode.svg(code, { title: "Variant code" })}<span class="variant-code-text">${code}</span></div>`;
+  }
+
+  // Full standalone HTML for one variant (the same markup exportNow has always produced).
+  // Problems that fail to build are reported in errors and leave html empty.
+  function renderExamHTML({ bank, meta, equationSheets = [], structuredSheet = null, seedIndex, showSolutions }) {
+    const variants = buildVariant(bank, seedIndex, meta);
+    const errors = variants.filter((v) => v.error).map((v) => `${v.p.id}: ${v.error}`);
+    if (errors.length) return { html: "", variants, errors };
+
+    const letter = variantMark(seedIndex);
+    const counts = examCounts(variants);
+    const front = `<section class="instructions firstpage-only">\n      <div class="nd-block">\n        ${meta.nameLine ? `<p>Name:</p>` : ""}\n            <p>Date:${meta.dateStr ? ` ${meta.dateStr}` : ""}</p>\n      </div>\n      ${variantCodeHTML(variantCode(bank, meta, seedIndex))}\n      <div class="title-wrap">\n        <h1>${meta.course}</h1>\n        <h2>${meta.examTitle}${showSolutions ? " — Solutions" : ""}</h2>\n      </div>\n      <h3 class="inst-heading">Instructions<sup class="variant-mark">${letter}</sup></h3>\n      <p>${fillCounts(meta.instructions, counts).replace(/\r?\n/g, "</p><p>")}</p>\n    </section><div class="page-break"></div>`;
+
+    const sheets = equationSheets
+      .map((img, i) =>
+        `<section class="sheet">\n          <img src="${img.src}" alt="${img.alt || `Equation Sheet ${i + 1}`}" class="sheet-img"/>\n        </section><div class="page-break"></div>`
+      )
+      .join("") + (structuredSheet ? `${equationSheetHTML(structuredSheet)}<div class="page-break"></div>` : "");
+
+    const print = printOptions(meta);
+    let problemsHTML = `<div class="questions${print.columns === 2 ? " two-column" : ""}">`;
+    const items = variants.map((v, i) => {
+      const { p, stem, label } = v;
+      const section = problemSection(p);
+      const newPage = startsNewPage(variants, i, print.pageBreaks) ? " new-page" : "";
+      const heading = i === 0 || problemSection(variants[i - 1].p) !== section
+        ? `<div class="section-head${newPage}"><h3 class="inst-heading section-title">${E3_DEFAULTS[`${section}_section_title`]}</h3><p class="section-intro">${sectionIntro(counts[section], section)}</p></div>`
+        : "";
+      const imgs = v.images
+        .map((img) => {
+          const style = `style="width:${img.widthPct ?? 60}%;display:inline-block;"`;
+          const alignWrapStart = `<div style="text-align:${img.align || "center"}">`;
+          const alignWrapEnd = `</div>`;
+          return `${alignWrapStart}<img src="${img.src}" alt="${img.alt || ""}" ${style}/>${alignWrapEnd}`;
+        })
+        .join("");
+      return `${heading}<div class="question${heading ? "" : newPage}"><div class="stem"><span class="q-label">[${label}]</span> ${TexMath.renderText(stem, { html: true })}</div>${imgs ? `<div class="images">${imgs}</div>` : ""}${questionBodyHTML(v, showSolutions)}${showSolutions ? workedSolutionHTML(v) : ""}</div>`;
+    });
+    problemsHTML += items.join("") + `</div>`;
+    if (showSolutions) {
+      const key = variants.map((v) => `<span class="key-item">${v.label}: ${answerKey(v).text}</span>`);
+      problemsHTML += `<section class="answer-key"><h3 class="inst-heading">Answer Key</h3><p>${key.join(" ")}</p></section>`;
+    }
+
+    const html = buildStandaloneHTML({
+      title: `${meta.course} — ${meta.examTitle} ${showSolutions ? "(Solutions)" : ""}`,
+      bodyHTML: front + sheets + problemsHTML,
+      showSolutions,
+      pageCss: ExamPrint.pageCss(runningHead(meta, seedIndex, showSolutions)),
+    });
+    return { html, variants, errors };
+  }
+
+  // ---------- e3 interop (exam_data.json / solutions JSON used by e3/template.html and grader.html) ----------
+
+  const E3_DEFAULTS = {
+    instructions_heading: "Instructions",
+    mc_section_title: "Multiple Choice Questions",
+    calc_section_title: "Calculations",
+  };
+
+  function e3Question(v) {
+    const [first, ...rest] = v.images;
+    const extra = rest.map((img) => `<img src="${img.src}" alt="${img.alt || ""}" style="width:${img.widthPct ?? 60}%"/>`).join("");
+    const partsHtml = v.parts
+      .map((s) => {
+        const opts = s.type === "numeric" ? "" : `<br/>${s.order.map((oi, i) => (s.type === "tf" ? TF_OPTIONS[oi] : `${optionLetter(i)}. ${s.p.options[oi]}`)).join(" &nbsp; ")}`;
+        return `<p class="part">(${s.label}) ${s.stem}${opts}</p>`;
+      })
+      .join("");
+    const q = {
+      label: v.label,
+      id: v.p.id,
+      type: v.type,
+      stem: v.stem + (v.type === "multi" ? " <em>(Select all that apply.)</em>" : "") + partsHtml + extra,
+      options: v.type === "tf" ? [...TF_OPTIONS] : v.order.map((oi, i) => `${optionLetter(i)}. ${v.p.options[oi]}`),
+    };
+    if (first) Object.assign(q, { image_src: first.src, image_alt: first.alt || "", image_width: `${first.widthPct ?? 60}%` });
+    return q;
+  }
+
+  function sectionIntro(n, section) {
+    return `There ${n === 1 ? "is 1 question" : `are ${n} questions`} in this section.${section === "calc" ? " Show all work." : ""}`;
+  }
+
+  // meta.e3 carries the e3-only fields (equation sections, constants image, section titles)
+  // through an import/export round trip; a structured sheet picked in the builder replaces its sections.
+  function toE3Exam({ variants, meta, seedIndex, structuredSheet = null, code = "" }) {
+    const extra = meta.e3 || {};
+    const mc = variants.filter((v) => problemSection(v.p) === "mc").map(e3Question);
+    const calc = variants.filter((v) => problemSection(v.p) === "calc").map(e3Question);
+    return {
+      ...E3_DEFAULTS,
+      ...extra,
+      course_title: meta.course,
+      exam_title: meta.examTitle,
+      variant_mark: variantMark(seedIndex),
+      ...(code ? { variant_code: code } : {}),
+      instructions_paragraphs: fillCounts(meta.instructions, examCounts(variants)).split(/\r?\n+/g).filter(Boolean),
+      mc_section_intro: extra.mc_section_intro || sectionIntro(mc.length, "mc"),
+      mc_questions: mc,
+      calc_section_intro: extra.calc_section_intro || sectionIntro(calc.length, "calc"),
+      calc_questions: calc,
+      ...(structuredSheet && structuredSheet.title ? { equations_title: structuredSheet.title } : {}),
+      left_equation_sections: (structuredSheet || extra).left_equation_sections || [],
+      right_equation_sections: (structuredSheet || extra).right_equation_sections || [],
+    };
+  }
+
+  function toE3Solutions({ variants, meta, seedIndex, code = "" }) {
+    const answers = {};
+    const solutions = {};
+    const topics = {};
+    for (const v of variants) {
+      const key = answerKey(v);
+      const value = Number.isFinite(v.numericAnswer) ? `${formatValue(v.numericAnswer)}${v.answerUnit ? ` ${v.answerUnit}` : ""}` : "";
+      answers[v.label] = key.answer;
+      topics[v.label] = v.p.topic || "";
+      solutions[v.label] = {
+        id: v.p.id,
+        answer: key.answer,
+        topic: v.p.topic || "",
+        explanation: [workedExplanation(v), value ? `Computed answer: ${value}.` : ""].filter(Boolean).join("<br>"),
+        option_order: v.order,
+      };
+      // part_* entries are what the grader's rubric reads for { parts: 'auto' }
+      for (const part of key.parts || []) solutions[v.label][`part_${part.label}`] = part.text;
+    }
+    return {
+      exam_title: meta.examTitle,
+      course: meta.course,
+      semester: meta.term || "",
+      variant_mark: variantMark(seedIndex),
+      variant_index: seedIndex,
+      ...(code ? { variant_code: code } : {}),
+      answers,
+      solutions,
+      topics_covered: topics,
+    };
+  }
+
+  function uniqueId(id, taken) {
+    let out = id;
+    for (let n = 2; taken.has(out); n++) out = `${id}_${n}`;
+    taken.add(out);
+    return out;
+  }
+
+  // exam_data.json (optionally merged with its solutions JSON) -> bank problems + meta.
+  // Options become fixed strings; with an answer key the correct one is matched by text.
+  function fromE3({ exam, solutions = {}, existingIds = [] }) {
+    const taken = new Set(existingIds);
+    const answers = solutions.answers || exam.answers || {};
+    const sols = solutions.solutions || exam.solutions || {};
+    const problems = [];
+    for (const section of SECTIONS) {
+      for (const q of exam[`${section}_questions`] || []) {
+        const options = (q.options || []).map((o) => String(o).replace(/^\s*[a-z][.)]\s*/i, ""));
+        const letter = String(answers[q.label] || "").trim().toLowerCase();
+        const correct = letter ? letter.charCodeAt(0) - 97 : -1;
+        const image = q.trailing_image || (q.image_src ? { src: q.image_src, alt: q.image_alt } : null);
+        problems.push({
+          id: uniqueId(q.id || `e3_${String(q.label || problems.length + 1).toLowerCase()}`, taken),
+          section,
+          topic: sols[q.label]?.topic || exam.topics_covered?.[q.label] || "",
+          stem: q.stem ?? q.stem_html ?? "",
+          params: [],
+          options,
+          answerExpr: correct >= 0 && correct < options.length ? stringLiteral(options[correct]) : '""',
+          selectRule: { match: "string" },
+          images: image ? [{ src: image.src, alt: image.alt || "", widthPct: 60, align: "left" }] : [],
+        });
+      }
+    }
+    const { course_title, exam_title, instructions_paragraphs, variant_mark, variant_code, mc_questions, calc_questions, answers: _a, solutions: _s, ...e3 } = exam;
+    const meta = {
+      course: course_title,
+      examTitle: exam_title,
+      instructions: (instructions_paragraphs || []).join("\n"),
+      e3,
+    };
+    return { problems, meta };
+  }
+
+  // ---------- Student mode (one variant taken on screen, offline) ----------
+  // renderTakeHTML builds a single self-contained page: the variant's questions one at a time, a countdown from
+  // meta.timeLimit, flag-for-review and answers autosaved to localStorage. In exam mode the page holds no answers;
+  // submitting downloads a response file (TAKE_RESPONSE_FORMAT) that grader.html scores against the variant's key.
+  // In practice mode each question carries its key and worked solution and is checked as the student goes.
+
+  const TAKE_RESPONSE_FORMAT = "exam-responses";
+  const TAKE_STORAGE_PREFIX = "examTake.";
+  const TAKE_WARNING_MINUTES = 5;
+
+  // meta.timeLimit is free text: "50 minutes", "1 h 15 min", "1:30", "90" (minutes). 0 when it names no time.
+  function timeLimitMinutes(text) {
+    const str = String(text ?? "").trim().toLowerCase();
+    const clock = str.match(/^(\d+):(\d{1,2})$/);
+    if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+    if (/^\d+(\.\d+)?$/.test(str)) return Number(str);
+    let minutes = 0;
+    for (const m of str.matchAll(/(\d+(?:\.\d+)?)\s*(h(?:ou)?rs?|h|min(?:ute)?s?|m)\b/g)) {
+      minutes += Number(m[1]) * (m[2].startsWith("h") ? 60 : 1);
+    }
+    return Math.round(minutes * 60) / 60;
+  }
+
+  // Whether typed text ("2.5 mA", "0.0025", "2.5e-3") is value in unit under rule. A typed unit must measure
+  // the same thing as the answer's and is converted; a bare number is read in the answer's unit.
+  function quantityMatches(text, value, unit, rule = {}) {
+    const q = parseQuantity(text);
+    if (!Number.isFinite(q.value)) return false;
+    const answerUnit = unit ? parseUnit(unit) : null;
+    let target = value;
+    if (answerUnit && q.unit) {
+      if (!sameDims(answerUnit.dims, q.unit.dims)) return false;
+      target = (value * answerUnit.scale) / q.unit.scale;
+    }
+    return numbersMatch(target, q.value, rule);
+  }
+
+  // The page's copy of one question (or part): display text and options, plus the key only in practice mode.
+  function takeItem(v, key, practice) {
+    const html = (text) => TexMath.renderText(String(text ?? ""), { html: true });
+    const item = { key, type: v.type, stem: html(v.stem) };
+    if (v.type === "mc" || v.type === "multi") item.options = v.order.map((oi) => html(v.p.options[oi]));
+    if (v.type === "numeric" || v.type === "multipart") item.lines = answerLines(v.p);
+    if (v.type === "multipart") item.parts = v.parts.map((s) => ({ ...takeItem(s, `${key}.${s.label}`, practice), label: s.label }));
+    const answer = answerKey(v);
+    // Practice feedback needs a key; a draw with no correct option simply can't be checked.
+    if (practice && v.type !== "multipart" && (v.type === "numeric" ? Number.isFinite(v.numericAnswer) : answer.letter)) {
+      item.check = v.type === "numeric"
+        ? { value: v.numericAnswer, unit: v.answerUnit || "", rule: v.p.selectRule || {} }
+        : { letter: answer.letter.toLowerCase() };
+      item.answer = html(v.type === "numeric" ? answer.text : finalAnswerText(v));
+    }
+    return item;
+  }
+
+  function takeData({ bank, meta, seedIndex, practice, code }) {
+    const variants = buildVariant(bank, seedIndex, meta);
+    const errors = variants.filter((v) => v.error).map((v) => `${v.p.id}: ${v.error}`);
+    const counts = examCounts(variants);
+    const data = {
+      mode: practice ? "practice" : "exam",
+      format: TAKE_RESPONSE_FORMAT,
+      storageKey: `${TAKE_STORAGE_PREFIX}${practice ? "practice" : "exam"}.${code}`,
+      exam: {
+        course: meta.course || "",
+        title: meta.examTitle || "",
+        mark: variantMark(seedIndex),
+        seedIndex,
+        code,
+        instructions: fillCounts(meta.instructions, counts).split(/\r?\n+/g).filter(Boolean),
+        nameLine: !!meta.nameLine,
+        idLine: !!meta.idLine,
+        timeLimit: meta.timeLimit || "",
+        minutes: practice ? 0 : timeLimitMinutes(meta.timeLimit),
+        warningMinutes: TAKE_WARNING_MINUTES,
+      },
+      questions: variants.map((v) => ({
+        ...takeItem(v, v.label, practice),
+        label: v.label,
+        section: problemSection(v.p),
+        images: v.images.map(({ src, alt, widthPct, align }) => ({ src, alt: alt || "", widthPct: widthPct ?? 60, align: align || "center" })),
+        ...(practice ? { worked: workedSolutionHTML(v) } : {}),
+      })),
+    };
+    return { data, variants, errors };
+  }
+
+  // JSON that is safe inside a <script> element.
+  function scriptJSON(value) {
+    return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+  }
+
+  const TAKE_CSS = `
+  body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; background: #f3f4f6; color: #111827; }
+  .take { max-width: 46rem; margin: 0 auto; padding: 1rem; }
+  .take-bar { position: sticky; top: 0; z-index: 1; display: flex; gap: 0.75rem; align-items: center; flex-wrap: wrap; padding: 0.6rem 1rem; background: #111827; color: #fff; }
+  .take-bar .take-title { font-weight: 600; }
+  .take-timer { margin-left: auto; font-variant-numeric: tabular-nums; font-weight: 600; }
+  .take-timer.low { color: #fca5a5; }
+  .take-card { background: #fff; border-radius: 0.75rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.12); padding: 1.25rem; margin: 1rem 0; }
+  .take-card h1 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+  .take-card h2 { font-size: 1.1rem; margin: 0 0 1rem; font-weight: 500; }
+  .take-nav { display: flex; flex-wrap: wrap; gap: 0.35rem; margin: 1rem 0 0; }
+  .take-nav button { min-width: 2.6rem; padding: 0.3rem 0.4rem; border: 2px solid #d1d5db; border-radius: 0.5rem; background: #fff; }
+  .take-nav button.answered { background: #dbeafe; border-color: #93c5fd; }
+  .take-nav button.flagged { border-color: #f59e0b; box-shadow: inset 0 -3px 0 #f59e0b; }
+  .take-nav button.current { outline: 2px solid #111827; }
+  .take-stem { font-size: 1.05rem; line-height: 1.5; margin-bottom: 0.75rem; }
+  .take-images { margin: 0.5rem 0; }
+  .take-images img { max-width: 100%; }
+  .take-option { display: flex; gap: 0.6rem; align-items: baseline; padding: 0.5rem 0.6rem; margin: 0.3rem 0; border: 1px solid #e5e7eb; border-radius: 0.5rem; cursor: pointer; }
+  .take-option:hover { background: #f9fafb; }
+  .take-part { margin: 1rem 0; padding-left: 0.75rem; border-left: 3px solid #e5e7eb; }
+  .take-answer { width: 100%; padding: 0.5rem; font: inherit; border: 1px solid #d1d5db; border-radius: 0.5rem; }
+  .take-actions { display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center; margin-top: 1rem; }
+  .take-actions .spacer { flex: 1; }
+  .take button { font: inherit; cursor: pointer; }
+  .take-btn { padding: 0.45rem 0.9rem; border: 1px solid #9ca3af; border-radius: 0.6rem; background: #fff; }
+  .take-btn.primary { background: #111827; border-color: #111827; color: #fff; }
+  .take-btn.flag-on { background: #fef3c7; border-color: #f59e0b; }
+  .take-field { display: block; margin: 0.5rem 0; }
+  .take-field input { display: block; width: 100%; margin-top: 0.2rem; padding: 0.45rem; font: inherit; border: 1px solid #d1d5db; border-radius: 0.5rem; }
+  .take-feedback { margin-top: 0.75rem; padding: 0.6rem 0.75rem; border-radius: 0.5rem; }
+  .take-feedback.right { background: #dcfce7; }
+  .take-feedback.wrong { background: #fee2e2; }
+  .take-review td, .take-review th { padding: 0.3rem 0.6rem; text-align: left; border-bottom: 1px solid #e5e7eb; }
+  .take-muted { color: #6b7280; font-size: 0.9rem; }
+  .take-error { color: #b91c1c; }
+  .worked-solution { margin-top: 0.5rem; font-size: 0.95rem; }
+  .ws-topic { color: #6b7280; }`;
+
+  // Runs inside the exported page, not here: renderTakeHTML embeds it by source, so it may use only its argument,
+  // the browser and the quantity helpers embedded beside it (TAKE_PAGE_HELPERS).
+  function takePage(data) {
+    const { exam, questions } = data;
+    const practice = data.mode === "practice";
+    const app = document.getElementById("app");
+    const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    const letter = (i) => String.fromCharCode(97 + i);
+    const blank = { name: "", id: "", startedAt: 0, submittedAt: 0, timedOut: false, current: 0, responses: {}, flagged: [], checked: {} };
+    let state;
+    try {
+      state = { ...blank, ...JSON.parse(localStorage.getItem(data.storageKey) || "{}") };
+    } catch (e) {
+      state = { ...blank };
+    }
+    let timer = 0;
+
+    function save() {
+      try {
+        localStorage.setItem(data.storageKey, JSON.stringify(state));
+      } catch (e) {
+        // Private windows may refuse storage; the exam still works, it just can't resume.
+      }
+    }
+
+    const deadline = () => (exam.minutes ? state.startedAt + exam.minutes * 60000 : 0);
+    const items = (q) => q.parts || [q];
+    const isAnswered = (q) => items(q).every((it) => String(state.responses[it.key] ?? "").trim());
+    const isFlagged = (q) => state.flagged.includes(q.key);
+
+    function isRight(it) {
+      const given = String(state.responses[it.key] ?? "").trim();
+      if (!given || !it.check) return false;
+      if (it.type === "numeric") return quantityMatches(given, it.check.value, it.check.unit, it.check.rule);
+      if (it.type === "multi") return given.split(",").sort().join(",") === it.check.letter.split(",").sort().join(",");
+      return given === it.check.letter;
+    }
+
+    function clock(ms) {
+      const s = Math.max(0, Math.ceil(ms / 1000));
+      const pad = (n) => String(n).padStart(2, "0");
+      return s >= 3600 ? `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}` : `${Math.floor(s / 60)}:${pad(s % 60)}`;
+    }
+
+    function tick() {
+      const el = document.getElementById("take-timer");
+      if (!deadline() || !el) return;
+      const left = deadline() - Date.now();
+      el.textContent = `Time left ${clock(left)}`;
+      el.classList.toggle("low", left < exam.warningMinutes * 60000);
+      if (left <= 0) submit(true);
+    }
+
+    function bar() {
+      const title = `${esc(exam.course)}${exam.course && exam.title ? " — " : ""}${esc(exam.title)} <sup>${esc(exam.mark)}</sup>`;
+      return `<div class="take-bar"><span class="take-title">${title}</span>${practice ? "<span>Practice</span>" : ""}` +
+        `<span class="take-timer" id="take-timer"></span></div>`;
+    }
+
+    function render() {
+      clearInterval(timer);
+      if (state.submittedAt) return renderDone();
+      if (!state.startedAt) return renderStart();
+      if (state.current >= questions.length) return renderReview();
+      renderQuestion();
+      if (deadline()) {
+        tick();
+        timer = setInterval(tick, 1000);
+      }
+    }
+
+    function renderStart() {
+      const limit = exam.minutes ? `<p><strong>Time limit: ${esc(exam.timeLimit)}.</strong> The countdown starts when you begin and keeps running if you close this page; when it reaches zero your answers are submitted.</p>` : "";
+      app.innerHTML = `${bar()}<div class="take"><div class="take-card">
+        <h1>${esc(exam.course)}</h1><h2>${esc(exam.title)}${practice ? " — Practice" : ""} <sup>${esc(exam.mark)}</sup></h2>
+        ${exam.instructions.map((p) => `<p>${p}</p>`).join("")}${limit}
+        <p class="take-muted">${questions.length} question${questions.length === 1 ? "" : "s"}. Answers are saved in this browser as you go.${practice ? " Check each answer for feedback." : ""}</p>
+        ${exam.nameLine ? `<label class="take-field">Name<input id="take-name" autocomplete="name" value="${esc(state.name)}"></label>` : ""}
+        ${exam.idLine ? `<label class="take-field">Student ID<input id="take-id" value="${esc(state.id)}"></label>` : ""}
+        <p class="take-error" id="take-start-error"></p>
+        <div class="take-actions"><button class="take-btn primary" id="take-start">Begin</button></div>
+      </div></div>`;
+      document.getElementById("take-start").onclick = () => {
+        const name = document.getElementById("take-name")?.value.trim() ?? "";
+        const id = document.getElementById("take-id")?.value.trim() ?? "";
+        if (!practice && ((exam.nameLine && !name) || (exam.idLine && !id))) {
+          document.getElementById("take-start-error").textContent = `Enter your ${[exam.nameLine && !name && "name", exam.idLine && !id && "student ID"].filter(Boolean).join(" and ")} first.`;
+          return;
+        }
+        Object.assign(state, { name, id, startedAt: Date.now(), current: 0 });
+        save();
+        render();
+      };
+    }
+
+    function itemHTML(it) {
+      const value = String(state.responses[it.key] ?? "");
+      const name = `r-${it.key}`;
+      switch (it.type) {
+        case "numeric":
+          return `<input class="take-answer" data-key="${esc(it.key)}" value="${esc(value)}" placeholder="Answer, e.g. 2.5 mA" autocomplete="off">`;
+        case "tf":
+          return ["T", "F"].map((t) => `<label class="take-option"><input type="radio" name="${esc(name)}" data-key="${esc(it.key)}" value="${t.toLowerCase()}"${value === t.toLowerCase() ? " checked" : ""}> ${t === "T" ? "True" : "False"}</label>`).join("");
+        case "multi":
+        case "mc": {
+          const chosen = value.split(",");
+          const kind = it.type === "multi" ? "checkbox" : "radio";
+          return (it.type === "multi" ? `<p class="take-muted">Select all that apply.</p>` : "") + it.options
+            .map((o, i) => `<label class="take-option"><input type="${kind}" name="${esc(name)}" data-key="${esc(it.key)}" value="${letter(i)}"${chosen.includes(letter(i)) ? " checked" : ""}> <span>${letter(i)}.</span> <span>${o}</span></label>`)
+            .join("");
+        }
+        default:
+          return "";
+      }
+    }
+
+    function feedbackHTML(it) {
+      if (!practice || !state.checked[it.key] || !it.check) return "";
+      const right = isRight(it);
+      return `<div class="take-feedback ${right ? "right" : "wrong"}">${right ? "✓ Correct" : "✗ Not quite"} — answer: ${it.answer}</div>`;
+    }
+
+    function renderQuestion() {
+      const q = questions[state.current];
+      const nav = questions
+        .map((x, i) => `<button data-go="${i}" class="${[isAnswered(x) && "answered", isFlagged(x) && "flagged", i === state.current && "current"].filter(Boolean).join(" ")}" title="${isFlagged(x) ? "Flagged for review" : ""}">${esc(x.label)}</button>`)
+        .join("") + `<button data-go="${questions.length}">Review</button>`;
+      const images = q.images.map((img) => `<div style="text-align:${esc(img.align)}"><img src="${esc(img.src)}" alt="${esc(img.alt)}" style="width:${Number(img.widthPct) || 60}%"></div>`).join("");
+      const body = q.parts
+        ? q.parts.map((p) => `<div class="take-part"><div class="take-stem"><strong>(${esc(p.label)})</strong> ${p.stem}</div>${itemHTML(p)}${feedbackHTML(p)}</div>`).join("")
+        : itemHTML(q) + feedbackHTML(q);
+      const checked = items(q).some((it) => state.checked[it.key]);
+      app.innerHTML = `${bar()}<div class="take"><div class="take-card">
+        <div class="take-muted">Question ${state.current + 1} of ${questions.length}</div>
+        <div class="take-stem"><strong>[${esc(q.label)}]</strong> ${q.stem}</div>
+        ${images ? `<div class="take-images">${images}</div>` : ""}${body}
+        ${practice && checked && q.worked ? q.worked : ""}
+        <div class="take-actions">
+          <button class="take-btn" id="take-prev"${state.current ? "" : " disabled"}>Previous</button>
+          <button class="take-btn${isFlagged(q) ? " flag-on" : ""}" id="take-flag">${isFlagged(q) ? "Flagged for review" : "Flag for review"}</button>
+          ${practice && items(q).some((it) => it.check) ? `<button class="take-btn" id="take-check">Check answer</button>` : ""}
+          <span class="spacer"></span>
+          <button class="take-btn primary" id="take-next">${state.current + 1 < questions.length ? "Next" : "Review answers"}</button>
+        </div>
+        <div class="take-nav">${nav}</div>
+      </div></div>`;
+      app.querySelectorAll("[data-key]").forEach((input) => {
+        const update = () => {
+          const key = input.dataset.key;
+          if (input.type === "checkbox") {
+            state.responses[key] = [...app.querySelectorAll(`[data-key="${key}"]:checked`)].map((c) => c.value).join(",");
+          } else if (input.type !== "radio" || input.checked) {
+            state.responses[key] = input.value.trim();
+          }
+          delete state.checked[key];
+          save();
+        };
+        input.addEventListener(input.type === "radio" || input.type === "checkbox" ? "change" : "input", update);
+      });
+      app.querySelectorAll("[data-go]").forEach((b) => (b.onclick = () => go(Number(b.dataset.go))));
+      document.getElementById("take-prev").onclick = () => go(state.current - 1);
+      document.getElementById("take-next").onclick = () => go(state.current + 1);
+      document.getElementById("take-flag").onclick = () => {
+        state.flagged = isFlagged(q) ? state.flagged.filter((k) => k !== q.key) : [...state.flagged, q.key];
+        save();
+        render();
+      };
+      const check = document.getElementById("take-check");
+      if (check) {
+        check.onclick = () => {
+          items(q).forEach((it) => (state.checked[it.key] = true));
+          save();
+          render();
+        };
+      }
+    }
+
+    function go(i) {
+      state.current = Math.max(0, Math.min(questions.length, i));
+      save();
+      render();
+      window.scrollTo(0, 0);
+    }
+
+    function renderReview() {
+      const rows = questions.map((q, i) => {
+        const answer = items(q).map((it) => `${q.parts ? `(${esc(it.label)}) ` : ""}${esc(state.responses[it.key] || "—")}`).join("; ");
+        const result = practice && items(q).some((it) => it.check) ? (items(q).every(isRight) ? "✓" : "✗") : "";
+        return `<tr><td><button class="take-btn" data-go="${i}">${esc(q.label)}</button></td><td>${answer}</td><td>${isFlagged(q) ? "⚑ flagged" : ""}</td>${practice ? `<td>${result}</td>` : ""}</tr>`;
+      });
+      const unanswered = questions.filter((q) => !isAnswered(q)).length;
+      const flagged = questions.filter(isFlagged).length;
+      const checkable = questions.filter((q) => items(q).some((it) => it.check));
+      const score = practice ? `<p><strong>${checkable.filter((q) => items(q).every(isRight)).length} of ${checkable.length}</strong> answered correctly.</p>` : "";
+      app.innerHTML = `${bar()}<div class="take"><div class="take-card">
+        <h2>Review your answers</h2>${score}
+        <p class="take-muted">${unanswered ? `${unanswered} unanswered. ` : "All questions answered. "}${flagged ? `${flagged} flagged for review.` : ""}</p>
+        <table class="take-review"><tbody>${rows.join("")}</tbody></table>
+        <div class="take-actions">
+          <button class="take-btn" data-go="${questions.length - 1}">Back</button><span class="spacer"></span>
+          ${practice ? `<button class="take-btn" id="take-restart">Start over</button>` : `<button class="take-btn primary" id="take-submit">Submit exam</button>`}
+        </div>
+      </div></div>`;
+      app.querySelectorAll("[data-go]").forEach((b) => (b.onclick = () => go(Number(b.dataset.go))));
+      const submitBtn = document.getElementById("take-submit");
+      if (submitBtn) {
+        submitBtn.onclick = () => {
+          if (confirm(`Submit your answers${unanswered ? ` with ${unanswered} unanswered` : ""}? You can't change them afterwards.`)) submit(false);
+        };
+      }
+      const restart = document.getElementById("take-restart");
+      if (restart) {
+        restart.onclick = () => {
+          state = { ...blank, name: state.name, id: state.id };
+          save();
+          render();
+        };
+      }
+      if (deadline()) {
+        tick();
+        timer = setInterval(tick, 1000);
+      }
+    }
+
+    function responseFile() {
+      return {
+        format: data.format,
+        version: 1,
+        course: exam.course,
+        exam_title: exam.title,
+        variant_mark: exam.mark,
+        variant_index: exam.seedIndex,
+        variant_code: exam.code,
+        student_name: state.name,
+        student_id: state.id,
+        started_at: new Date(state.startedAt).toISOString(),
+        submitted_at: new Date(state.submittedAt).toISOString(),
+        time_limit: exam.timeLimit,
+        timed_out: state.timedOut,
+        responses: state.responses,
+        flagged: state.flagged,
+      };
+    }
+
+    const fileName = () => `responses_${(state.id || state.name || "student").replace(/[^\w.-]+/g, "_")}_${exam.code}.json`;
+
+    function download() {
+      const blob = new Blob([JSON.stringify(responseFile(), null, 2)], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = fileName();
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    function submit(timedOut) {
+      if (state.submittedAt) return;
+      clearInterval(timer);
+      // A page reopened after the deadline submits as of the deadline, not as of reopening.
+      state.submittedAt = timedOut ? Math.min(Date.now(), deadline()) : Date.now();
+      state.timedOut = timedOut;
+      save();
+      download();
+      render();
+    }
+
+    function renderDone() {
+      app.innerHTML = `${bar()}<div class="take"><div class="take-card">
+        <h2>${state.timedOut ? "Time is up — your answers were submitted" : "Submitted"}</h2>
+        <p>Your answers were saved as <strong>${esc(fileName())}</strong> in your downloads. Hand that file in as your instructor asked.</p>
+        <p class="take-muted">Submitted ${esc(new Date(state.submittedAt).toLocaleString())}. Variant code ${esc(exam.code)}.</p>
+        <div class="take-actions"><button class="take-btn" id="take-again">Download the response file again</button></div>
+      </div></div>`;
+      document.getElementById("take-again").onclick = download;
+    }
+
+    if (!practice && state.startedAt && !state.submittedAt && deadline() && Date.now() >= deadline()) submit(true);
+    else render();
+  }
+
+  // The quantity parsing practice feedback uses, embedded by source so typed answers are read as the key is.
+  function takePageHelpers() {
+    return [
+      `const UNITS = ${JSON.stringify(UNITS)};`,
+      `const SI_PREFIXES = ${JSON.stringify(SI_PREFIXES)};`,
+      `const SUPERSCRIPTS = ${JSON.stringify(SUPERSCRIPTS)};`,
+      ...[roundTo, roundSig, normalizeQuantityText, parseUnit, sameDims, parseQuantity, numbersMatch, quantityMatches].map(String),
+    ].join("\n");
+  }
+
+  // One variant as a standalone page for taking on screen (practice: with feedback). Works from file://. code
+  // defaults to the variant's own; pass the printed one when bank is a copy with its images embedded.
+  function renderTakeHTML({ bank, meta, seedIndex, practice = false, code = variantCode(bank, meta, seedIndex) }) {
+    const { data, variants, errors } = takeData({ bank, meta, seedIndex, practice, code });
+    if (errors.length) return { html: "", variants, errors };
+    const title = `${meta.course} — ${meta.examTitle}${practice ? " (Practice)" : ""}`;
+    const html = `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${xmlEscape(title)}</title>
+  <style>${TAKE_CSS}
+  ${TexMath.css}</style>
+  </head>
+  <body>
+    <div id="app"></div>
+    <noscript>This exam needs JavaScript.</noscript>
+    <script>
+"use strict";
+${takePageHelpers()}
+(${takePage})(${scriptJSON(data)});
+    </script>
+  </body></html>`;
+    return { html, variants, errors };
+  }
+
+  // ---------- Batch export (answer keys, manifest and a store-only ZIP) ----------
+
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // files: [{ name, data: string | Uint8Array }] -> Uint8Array of an uncompressed .zip
+  function buildZip(files, date = new Date()) {
+    const enc = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const f of files) {
+      const name = enc.encode(f.name);
+      const data = typeof f.data === "string" ? enc.encode(f.data) : f.data;
+      const crc = crc32(data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      locals.push(new Uint8Array(local.buffer), name, data);
+      centrals.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    }
+    const cdSize = centrals.reduce((n, c) => n + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+      out.set(part, pos);
+      pos += part.length;
+    }
+    return out;
+  }
+
+  // "0-29", "3,5,8-10" -> sorted unique variant indices
+  // More than this in one batch is a typo ("0-99999999"), and would lock up the tab or the CLI building it.
+  const MAX_BATCH_VARIANTS = 500;
+
+  function parseVariantRange(text) {
+    const out = new Set();
+    const tooMany = () => new Error(`At most ${MAX_BATCH_VARIANTS} variants can be built at once`);
+    for (const part of String(text).split(",").map((t) => t.trim()).filter(Boolean)) {
+      const m = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!m) throw new Error(`Invalid variant range "${part}"`);
+      const a = Number(m[1]);
+      const b = m[2] !== undefined ? Number(m[2]) : a;
+      if (b < a) throw new Error(`Invalid variant range "${part}"`);
+      if (b - a >= MAX_BATCH_VARIANTS) throw tooMany();
+      for (let i = a; i <= b; i++) out.add(i);
+      if (out.size > MAX_BATCH_VARIANTS) throw tooMany();
+    }
+    if (!out.size) throw new Error("No variants selected");
+    return [...out].sort((x, y) => x - y);
+  }
+
+  function csvCell(v) {
+    const str = String(v ?? "");
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function toCSV(rows) {
+    return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+
+  // How a written numeric answer is scored, for graders: { value, unit, rule } with the rule numbersMatch applies
+  // spelled out (no rule means rounding to 2 places). null for anything a student marks.
+  function numericKey(v) {
+    if (v.type !== "numeric" || !Number.isFinite(v.numericAnswer)) return null;
+    const { tolerance, sigFigs, rounding = 2 } = v.p.selectRule || {};
+    const rule = tolerance !== undefined ? { tolerance } : sigFigs !== undefined ? { sigFigs } : { rounding };
+    return { value: Number(v.numericAnswer.toPrecision(12)), unit: v.answerUnit || "", rule };
+  }
+
+  // answer_key.csv has one row per question and, under it, one per part ("Q4.a"); rule is "tolerance=0.02" etc.
+  function answerKeyRows(v, { seedIndex, mark, code }) {
+    const row = (s, question) => {
+      const numeric = numericKey(s);
+      return [
+        seedIndex,
+        mark,
+        question,
+        v.p.id,
+        answerKey(s).letter,
+        Number.isFinite(s.numericAnswer) ? Number(s.numericAnswer.toPrecision(12)) : "",
+        s.answerUnit || "",
+        numeric ? Object.entries(numeric.rule).map(([k, x]) => `${k}=${x}`).join(" ") : "",
+        (s.order || []).join(" "),
+        code,
+      ];
+    };
+    return [row(v, v.label), ...v.parts.map((s) => row(s, `${v.label}.${s.label}`))];
+  }
+
+  // One variant's manifest.json entry: its code, seeds, bindings and answer keys. grader.html rebuilds a key from
+  // a bank the same way when it is handed a variant code.
+  function manifestVariant(bank, meta, seedIndex, variants = buildVariant(bank, seedIndex, meta)) {
+    return {
+      seedIndex,
+      mark: variantMark(seedIndex),
+      code: variantCode(bank, meta, seedIndex),
+      variantSeed: VARIANT_BASE_SEED + seedIndex,
+      questions: variants.map((v) => ({
+        label: v.label,
+        id: v.p.id,
+        seed: v.seed,
+        bindings: v.b,
+        optionOrder: v.order,
+        answer: answerKey(v).answer || null,
+        ...(numericKey(v) ? { numeric: numericKey(v) } : {}),
+        ...(v.parts.length
+          ? { parts: v.parts.map((s) => ({ label: s.label, optionOrder: s.order, answer: answerKey(s).answer || null, ...(numericKey(s) ? { numeric: numericKey(s) } : {}) })) }
+          : {}),
+      })),
+    };
+  }
+
+  // Exam (and, unless solutions is false, solutions) HTML per variant, e3-format JSON, a combined answer-key CSV,
+  // and a manifest with seeds, bindings and variant codes so any variant can be rebuilt from bank.json.
+  function buildBatch({ bank, meta, equationSheets, structuredSheet, seedIndices, solutions = true, take = false }) {
+    const files = [];
+    const keyRows = [["variant", "mark", "question", "problem_id", "letter", "numeric_answer", "unit", "rule", "option_order", "variant_code"]];
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      baseSeed: VARIANT_BASE_SEED,
+      bankHash: bankHash(bank, meta),
+      meta,
+      problemIds: bank.map((p) => p.id),
+      variants: [],
+    };
+    const errors = [];
+    for (const seedIndex of seedIndices) {
+      const exam = renderExamHTML({ bank, meta, equationSheets, structuredSheet, seedIndex, showSolutions: false });
+      if (exam.errors.length) {
+        errors.push(...exam.errors.map((e) => `variant ${seedIndex}: ${e}`));
+        continue;
+      }
+      files.push({ name: `exam_variant_${seedIndex}.html`, data: "\uFEFF" + exam.html });
+      if (solutions) {
+        const sol = renderExamHTML({ bank, meta, equationSheets, structuredSheet, seedIndex, showSolutions: true });
+        files.push({ name: `exam_variant_${seedIndex}_solutions.html`, data: "\uFEFF" + sol.html });
+      }
+      if (take) {
+        const practice = take === "practice";
+        const page = renderTakeHTML({ bank, meta, seedIndex, practice });
+        files.push({ name: `exam_variant_${seedIndex}_${practice ? "practice" : "take"}.html`, data: "\uFEFF" + page.html });
+      }
+      const code = variantCode(bank, meta, seedIndex);
+      const e3Args = { variants: exam.variants, meta, seedIndex, structuredSheet, code };
+      files.push({ name: `e3/exam_data_variant_${seedIndex}.json`, data: JSON.stringify(toE3Exam(e3Args), null, 2) });
+      files.push({ name: `e3/solutions_data_variant_${seedIndex}.json`, data: JSON.stringify(toE3Solutions(e3Args), null, 2) });
+      const mark = variantMark(seedIndex);
+      manifest.variants.push(manifestVariant(bank, meta, seedIndex, exam.variants));
+      for (const v of exam.variants) keyRows.push(...answerKeyRows(v, { seedIndex, mark, code }));
+    }
+    files.push({ name: "answer_key.csv", data: "\uFEFF" + toCSV(keyRows) });
+    files.push({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+    files.push({ name: "bank.json", data: JSON.stringify(bank, null, 2) });
+    return { files, errors };
+  }
+
+  // ---------- Project files (read here so the CLI builds from the file the builder saves) ----------
+
+  // Why a parsed bank JSON can't replace the bank, or "".
+  function bankJsonError(model) {
+    if (!Array.isArray(model)) return "The bank must be a JSON array of problems.";
+    const bad = model.findIndex((p) => !p || typeof p !== "object" || Array.isArray(p) || !String(p.id ?? "").trim());
+    if (bad >= 0) return `Entry ${bad + 1} is not a problem with an id.`;
+    const ids = model.map((p) => p.id);
+    const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+    return dup !== undefined ? `The id "${dup}" is used more than once.` : "";
+  }
+
+  const DEFAULT_META = {
+    course: "Physics 227",
+    examTitle: "Practice Exam",
+    term: "",
+    dateStr: "",
+    timeLimit: "",
+    instructions: "Answer all questions. Show work where applicable.",
+    nameLine: true,
+    idLine: true,
+    shuffleOptions: false,
+    shuffleQuestions: false,
+  };
+
+  const PROJECT_FILE_FORMAT = "exam-builder-project";
+  const PROJECT_FILE_VERSION = 1;
+  const DEFAULT_PROJECT_NAME = "Untitled";
+
+  // Parsed project file -> { project, sheets }; throws with a message for anything else.
+  function readProjectFile(data) {
+    if (!data || data.format !== PROJECT_FILE_FORMAT) throw new Error("Not an exam builder project file.");
+    if (data.version > PROJECT_FILE_VERSION) throw new Error(`This project file is version ${data.version}; this builder reads up to version ${PROJECT_FILE_VERSION}.`);
+    const bankError = bankJsonError(data.bank);
+    if (bankError) throw new Error(bankError);
+    return {
+      project: {
+        name: String(data.name || "").trim() || DEFAULT_PROJECT_NAME,
+        bank: data.bank,
+        meta: { ...DEFAULT_META, ...data.meta },
+        equationSheets: Array.isArray(data.equationSheets) ? data.equationSheets.filter((img) => img && img.src) : [],
+        seedIndex: Math.max(0, Math.floor(Number(data.seedIndex)) || 0),
+      },
+      sheets: Array.isArray(data.sheets) ? data.sheets.filter((s) => s && s.name) : [],
+    };
+  }
+
+  const ExamCore = {
+    GREEK, formatValue, renderTemplate, normalizeQuantityText, parseUnit, sameDims, parseQuantity, numbersMatch,
+    isWhole, ExprError, EXPR_CONSTANTS, stringLiteral, compileExpr, evalExpr, chooseCorrectIndex, deriveBindings, generateBindings,
+    PROBLEM_TYPES, TF_OPTIONS, problemType, problemOptions, partLabel, solveProblem, workedSolution, substituteExpr,
+    workedStepText, SVG_NS, isFigure, svgNum, figureSVG, buildProblemVariant, VARIANT_BASE_SEED, optionOrder,
+    DEFAULT_DIFFICULTY_TOLERANCE, selectProblems, problemSection, arrangeVariant, answerLines, answerKey,
+    finalAnswerText, buildVariant, optionLetter, examCounts, fillCounts, defaultIntro, validateProblem, validateBank,
+    formatBindings, xmlEscape, EQUATION_SHEET_CSS, equationSheetHTML, buildStandaloneHTML, PAGE_BREAK_MODES,
+    printOptions, runningHead, startsNewPage, variantMark, bankHash, variantCode, renderExamHTML, E3_DEFAULTS,
+    sectionIntro, toE3Exam, toE3Solutions, uniqueId, fromE3, TAKE_RESPONSE_FORMAT, timeLimitMinutes, quantityMatches,
+    renderTakeHTML, crc32, buildZip, MAX_BATCH_VARIANTS, parseVariantRange, toCSV, manifestVariant, buildBatch,
+    bankJsonError, DEFAULT_META, PROJECT_FILE_FORMAT, PROJECT_FILE_VERSION, DEFAULT_PROJECT_NAME, readProjectFile,
+  };
+  root.ExamCore = ExamCore;
+  if (typeof module === "object" && module.exports) module.exports = ExamCore;
+})(typeof window !== "undefined" ? window : globalThis);
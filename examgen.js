@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * examgen — builds exam variants from the command line with the builder's own core (examcore.js).
+ *
+ *   node examgen.js build bank.json --meta meta.json --variants 1-30 --solutions --out dist/
+ *   node examgen.js build bank.json --variants 0-29 --take
+ *   node examgen.js validate bank.json
+ *
+ * The input is a bank (a JSON array of problems, as the builder's Edit Problems dialog shows it) or a project
+ * file saved from the builder, which also brings its settings, equation sheets and structured sheet; --meta
+ * overrides any of those settings. build writes what the builder's Batch Export .zip holds: exam_variant_<n>.html
+ * (plus _solutions.html with --solutions), e3/exam_data_variant_<n>.json and solutions_data, answer_key.csv,
+ * manifest.json and bank.json. --take adds exam_variant_<n>_take.html, the variant as a timed page taken on screen
+ * whose response files grader.html scores; --practice adds _practice.html instead, which checks answers as the
+ * student goes. validate sweeps every problem's parameters like the builder's Validate button and exits non-zero
+ * when any problem fails.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_META, bankJsonError, readProjectFile, parseVariantRange, buildBatch, validateBank, formatBindings,
+  problemOptions,
+} = require("./examcore.js");
+
+const USAGE = `Usage:
+  examgen build <bank.json | project.json> [--meta meta.json] [--variants 0-29] [--solutions] [--take | --practice] [--out dist]
+  examgen validate <bank.json | project.json>`;
+
+// argv -> { command, file, options }; flags without a value are true.
+function parseArgs(argv) {
+  const VALUE_FLAGS = ["meta", "variants", "out"];
+  const BOOLEAN_FLAGS = ["solutions", "take", "practice"];
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+    if (!m) {
+      positional.push(argv[i]);
+      continue;
+    }
+    const [, name, inline] = m;
+    if (BOOLEAN_FLAGS.includes(name)) options[name] = true;
+    else if (VALUE_FLAGS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new Error(`--${name} needs a value`);
+      options[name] = value;
+    } else throw new Error(`Unknown option --${name}`);
+  }
+  return { command: positional[0], file: positional[1], options };
+}
+
+function readJSON(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+  try {
+    return JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+}
+
+// A bank array or a builder project file -> what buildBatch needs, with --meta applied on top.
+function loadInput(file, metaFile) {
+  const data = readJSON(file);
+  let input;
+  if (Array.isArray(data)) {
+    const error = bankJsonError(data);
+    if (error) throw new Error(`${file}: ${error}`);
+    input = { bank: data, meta: DEFAULT_META, equationSheets: [], sheets: [] };
+  } else if (data && data.format) {
+    const { project, sheets } = readProjectFile(data);
+    input = { ...project, sheets };
+  } else {
+    throw new Error(`${file} is neither a bank (a JSON array of problems) nor a builder project file.`);
+  }
+  if (metaFile) {
+    const meta = readJSON(metaFile);
+    if (!meta || typeof meta !== "object" || Array.isArray(meta)) throw new Error(`${metaFile} must hold a JSON object of exam settings.`);
+    input.meta = { ...input.meta, ...meta };
+  }
+  input.structuredSheet = input.sheets.find((s) => s.name === input.meta.equationSheet) || null;
+  if (input.meta.equationSheet && !input.structuredSheet) {
+    console.warn(`Equation sheet "${input.meta.equationSheet}" is not in ${file}; building without it.`);
+  }
+  return input;
+}
+
+function build(file, options) {
+  const { bank, meta, equationSheets, structuredSheet } = loadInput(file, options.meta);
+  const seedIndices = parseVariantRange(options.variants ?? "0");
+  if (options.take && options.practice) throw new Error("Use --take or --practice, not both.");
+  const take = options.practice ? "practice" : options.take ? "exam" : false;
+  const { files, errors } = buildBatch({ bank, meta, equationSheets, structuredSheet, seedIndices, solutions: !!options.solutions, take });
+  if (errors.length) throw new Error("Cannot build:\n  " + errors.join("\n  "));
+  const out = options.out || "dist";
+  for (const f of files) {
+    const target = path.join(out, f.name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, f.data);
+  }
+  const n = seedIndices.length;
+  console.log(`Wrote ${n} variant${n === 1 ? "" : "s"} (${files.length} files) to ${out}`);
+}
+
+// One line per problem, then its failures (the same findings as the builder's validation report).
+function validate(file) {
+  const { bank } = loadInput(file);
+  const letter = (i) => String.fromCharCode(97 + i);
+  const example = (ex) => `${ex.part ? `(${ex.part}) ` : ""}${formatBindings(ex.bindings)}`;
+  let failed = 0;
+  validateBank(bank).forEach((report, i) => {
+    if (!report.ok) failed++;
+    const excluded = report.excluded ? `, ${report.excluded} excluded by constraints` : "";
+    console.log(`${report.ok ? "✓" : "✗"} ${report.id}: ${report.checked}${report.sampled ? ` sampled of ${report.total}` : ""} combinations${excluded}`);
+    if (report.errors.count) console.log(`    ${report.errors.count} evaluation errors: ${report.errors.examples[0].message} (${formatBindings(report.errors.examples[0].bindings)})`);
+    if (report.noMatch.count) console.log(`    ${report.noMatch.count} with no matching option, e.g. ${report.noMatch.examples.map(example).join("; ")}`);
+    if (report.ambiguous.count) console.log(`    ${report.ambiguous.count} with several matching options, e.g. ${report.ambiguous.examples.map((ex) => `${example(ex)} → ${ex.matches.map(letter).join("/")}`).join("; ")}`);
+    if (report.neverCorrect.length) {
+      const options = problemOptions(bank[i]);
+      console.log(`    never correct: ${report.neverCorrect.map((k) => `${letter(k)}. ${options[k]}`).join(", ")}`);
+    }
+  });
+  if (failed) throw new Error(`${failed} of ${bank.length} problems failed validation.`);
+}
+
+function main(argv) {
+  if (!argv.length || argv[0] === "help" || argv.includes("--help")) {
+    console.log(USAGE);
+    return;
+  }
+  const { command, file, options } = parseArgs(argv);
+  if (!file) throw new Error(`Missing the bank file.\n${USAGE}`);
+  if (command === "build") build(file, options);
+  else if (command === "validate") validate(file);
+  else throw new Error(`Unknown command "${command}".\n${USAGE}`);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}